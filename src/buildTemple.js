@@ -0,0 +1,458 @@
+import * as THREE from "three";
+import { buildTower, towerDimensions, plinthCourses } from "./buildTower.js";
+import { graniteMaterial, setTextureSeed } from "./materials.js";
+import { mergeStaticMeshes } from "./mergeStatic.js";
+import { buildMandapa, buildFlagstaff, buildKalyani, mandapaFootprint, kalyaniFootprint } from "./siteElements.js";
+import { createLampString, LAMP_RADIUS } from "./lamps.js";
+
+const SIDES = {
+  N: { side: "North", dir: [0, 1], rot: Math.PI },
+  S: { side: "South", dir: [0, -1], rot: 0 },
+  E: { side: "East", dir: [1, 0], rot: -Math.PI / 2 },
+  W: { side: "West", dir: [-1, 0], rot: Math.PI / 2 }
+};
+const MIN_SPAN = 300;
+const DETAIL_LEVELS = ["high", "medium", "low"];
+// Per-level parts of each cached LOD and the part resolver of each complex, kept out of
+// userData so they never reach glTF extras.
+const lodParts = new WeakMap();
+const complexResolvers = new WeakMap();
+// State fields that only place, size or show parts of the complex. Tower builds ignore them,
+// so editing one reuses the built tower levels.
+const LAYOUT_KEYS = new Set([
+  "complexLength",
+  "complexWidth",
+  "ringHeightStep",
+  "wallThickness",
+  "wallSpacing",
+  "innerWalls",
+  "mainAxis",
+  "gopuramSides",
+  "mandapaCount",
+  "mandapaColumns",
+  "mandapaRows",
+  "mandapaBay",
+  "mandapaHeight",
+  "mandapaRoof",
+  "flagstaffHeight",
+  "tankSize",
+  "tankSteps",
+  "tankPavilion",
+  "lodNear",
+  "lodFar",
+  "beadDistance"
+]);
+// Clear gap kept between courtyard elements, walls and towers.
+const SITE_MARGIN = 20;
+// The central shrine is a reduced tower; shrineState and the site layout share this.
+const SHRINE_SCALE = 0.6;
+
+// Plan half-extents of a tower's widest plinth course at the given scale, across (w) and along its facing (d).
+function towerHalfExtents(state, scale = 1) {
+  const { baseW, baseD, plinthH } = towerDimensions(state);
+  const widest = plinthCourses(baseW, baseD, plinthH)[0];
+  return { w: (widest.w * scale) / 2, d: (widest.d * scale) / 2 };
+}
+
+// Layout description shared by the builder and the part list: wall rings from the outside in,
+// each with its spans, wall size, tower scale and gopuram positions, plus the courtyard elements.
+export function complexLayout(state) {
+  const length = state.complexLength ?? 1500;
+  const width = state.complexWidth ?? 1500;
+  const alongX = state.mainAxis !== "north-south";
+  const outerX = alongX ? length : width;
+  const outerZ = alongX ? width : length;
+  const wallThickness = state.wallThickness;
+  const wallHeight = 100 * state.baseScale; // walls top align with tower base height
+  const wallSpacing = state.wallSpacing;
+  const innerCount = Math.max(0, Math.floor(state.innerWalls));
+  const heightStep = state.ringHeightStep ?? 0.1;
+  const rings = [];
+
+  const addRing = (index, spanX, spanZ, thickness, height, towerScale) => {
+    const sides = (state.gopuramSides && state.gopuramSides[index]) ?? "NSEW";
+    const towers = "NSEW"
+      .split("")
+      .filter(c => sides.includes(c))
+      .map(c => {
+        const { side, dir, rot } = SIDES[c];
+        const position = new THREE.Vector3(dir[0] * (spanX / 2 + thickness), 0, dir[1] * (spanZ / 2 + thickness));
+        return { side, position, rot };
+      });
+    rings.push({ index, spanX, spanZ, thickness, height, towerScale, towers });
+  };
+
+  addRing(0, outerX, outerZ, wallThickness, wallHeight, 1);
+  for (let i = 0; i < innerCount; i++) {
+    const spanX = Math.max(MIN_SPAN, outerX - wallSpacing * (i + 1));
+    const spanZ = Math.max(MIN_SPAN, outerZ - wallSpacing * (i + 1));
+    if (spanX <= MIN_SPAN || spanZ <= MIN_SPAN) break;
+    // Traditional arrangement: gopurams grow toward the outer ring.
+    const towerScale = Math.max(0.4, 1 - heightStep * (i + 1));
+    const thickness = wallThickness * Math.max(0.5, 1 - 0.08 * (i + 1));
+    const height = wallHeight * Math.max(0.5, 1 - 0.08 * (i + 1));
+    addRing(i + 1, spanX, spanZ, thickness, height, towerScale);
+  }
+
+  return { rings, sites: siteLayout(state, rings[rings.length - 1], alongX) };
+}
+
+// Courtyard elements inside the innermost ring, laid out in axis coordinates: u runs along the
+// main axis toward the front gopuram, v across it. The flagstaff stands on the front axis with
+// the axial mandapa between it and the shrine, extra mandapas take the front corners and the
+// kalyani the back corner. Elements that do not fit their slot are shrunk or left out.
+function siteLayout(state, ring, alongX) {
+  const sites = [];
+  const toWorld = (u, v) => (alongX ? new THREE.Vector3(u, 0, v) : new THREE.Vector3(v, 0, u));
+  // Builders put an element's length on local +Z; turn it onto the main axis.
+  const rot = alongX ? Math.PI / 2 : 0;
+  const [front, back, ...sides] = alongX ? ["E", "W", "S", "N"] : ["N", "S", "W", "E"];
+  const hasGopuram = c => ring.towers.some(t => t.side === SIDES[c].side);
+
+  const innerU = (alongX ? ring.spanX : ring.spanZ) / 2 - ring.thickness;
+  const innerV = (alongX ? ring.spanZ : ring.spanX) / 2 - ring.thickness;
+  const gopuram = towerHalfExtents(state, ring.towerScale);
+  // A gopuram reaches gopuram.d into the courtyard and spans gopuram.w along the wall.
+  const limitU = c => (hasGopuram(c) ? ring[alongX ? "spanX" : "spanZ"] / 2 + ring.thickness - gopuram.d : innerU);
+  const shrine = towerHalfExtents(shrineState(state));
+  // The shrine is never turned, so its width lies along X.
+  const shrineU = alongX ? shrine.w : shrine.d;
+  const shrineV = alongX ? shrine.d : shrine.w;
+
+  const frontU = Math.min(innerU, limitU(front)) - SITE_MARGIN;
+  const flagHeight = state.flagstaffHeight ?? 160;
+  const flagHalf = (flagHeight * 0.16) / 2;
+  const flagU = shrineU + (frontU - shrineU) * 0.8;
+  if (flagU - flagHalf > shrineU + SITE_MARGIN && flagU + flagHalf <= frontU) {
+    sites.push({ kind: "flagstaff", name: "Dhwajastambha", position: toWorld(flagU, 0), rot, params: { height: flagHeight } });
+  }
+  const axialEnd = sites.length ? flagU - flagHalf - SITE_MARGIN : frontU;
+
+  const mandapaCount = Math.max(0, Math.floor(state.mandapaCount ?? 1));
+  const bay = state.mandapaBay ?? 30;
+  const hall = {
+    cols: Math.floor(state.mandapaColumns ?? 4),
+    rows: Math.floor(state.mandapaRows ?? 4),
+    bay,
+    height: state.mandapaHeight ?? 60,
+    roof: state.mandapaRoof ?? "flat"
+  };
+  // Trims the column grid to fit a u x v slot; null when not even a 2 x 2 hall fits.
+  const fitHall = (lengthU, widthV) => {
+    const rows = Math.min(hall.rows, Math.floor(lengthU / bay - 0.5));
+    const cols = Math.min(hall.cols, Math.floor(widthV / bay - 0.5));
+    return rows >= 2 && cols >= 2 ? { ...hall, rows, cols } : null;
+  };
+
+  let axialHalfV = 0;
+  if (mandapaCount > 0) {
+    const start = shrineU + SITE_MARGIN;
+    const params = fitHall(axialEnd - start, 2 * (innerV - SITE_MARGIN));
+    if (params) {
+      const { length, width } = mandapaFootprint(params);
+      axialHalfV = width / 2;
+      sites.push({ kind: "mandapa", name: "Mandapa_Axial", position: toWorld(start + length / 2, 0), rot, params });
+    }
+  }
+
+  // Corner slots start past the side gopurams (at u = 0) and the end gopuram and axial
+  // elements (at v = 0), so they run out to the walls.
+  const cornerU = Math.max(sides.some(hasGopuram) ? gopuram.w : 0, shrineU) + SITE_MARGIN;
+  const cornerV = end => Math.max(axialHalfV, shrineV, hasGopuram(end) ? gopuram.w : 0) + SITE_MARGIN;
+  const edgeU = innerU - SITE_MARGIN;
+  const edgeV = innerV - SITE_MARGIN;
+  const cornerMandapa = (name, sign) => {
+    const params = fitHall(edgeU - cornerU, edgeV - cornerV(front));
+    if (!params) return;
+    const { width } = mandapaFootprint(params);
+    const v = sign * (cornerV(front) + width / 2);
+    sites.push({ kind: "mandapa", name, position: toWorld((cornerU + edgeU) / 2, v), rot, params });
+  };
+  // "Left" is the -v corner, "Right" the +v one.
+  if (mandapaCount > 1) cornerMandapa("Mandapa_Left", -1);
+  if (mandapaCount > 2) cornerMandapa("Mandapa_Right", 1);
+
+  const steps = Math.max(2, Math.floor(state.tankSteps ?? 5));
+  const room = Math.min(edgeU - cornerU, edgeV - cornerV(back));
+  const size = Math.min(state.tankSize ?? 400, room / kalyaniFootprint({ size: 1, steps }));
+  if (size >= 60) {
+    const half = kalyaniFootprint({ size, steps }) / 2;
+    const position = toWorld(-(cornerU + half), -(cornerV(back) + half));
+    sites.push({ kind: "kalyani", name: "Kalyani", position, rot, params: { size, steps, pavilion: state.tankPavilion ?? true } });
+  }
+  return sites;
+}
+
+// The complex is assembled from parts that build independently, possibly in a worker
+// (buildWorker.js): a wall ring, one detail level of the gopuram, the central shrine, or one
+// detail level of a site element. A part's key covers exactly the inputs of its build, so an
+// edit only rebuilds the parts it touches, and all gopurams share one build per level.
+function towerKey(state) {
+  return JSON.stringify(Object.entries(state).filter(([key]) => !LAYOUT_KEYS.has(key)));
+}
+
+function shrineState(state) {
+  return { ...state, scaleX: SHRINE_SCALE, scaleY: SHRINE_SCALE, scaleZ: SHRINE_SCALE, visibleTiers: Math.min(state.visibleTiers, 6) };
+}
+
+function towerPart(state, detail) {
+  return { key: `tower:${detail}:${towerKey(state)}`, kind: "tower", seed: state.seed, args: { state, detail } };
+}
+
+function shrinePart(state) {
+  const s = shrineState(state);
+  return { key: `shrine:${towerKey(s)}`, kind: "shrine", seed: state.seed, args: { state: s } };
+}
+
+function wallPart(ring, state) {
+  const args = { spanX: ring.spanX, spanZ: ring.spanZ, thickness: ring.thickness, height: ring.height, lampSpacing: state.lampSpacing };
+  return { key: `walls:${JSON.stringify(args)}:${state.seed}`, kind: "walls", seed: state.seed, args };
+}
+
+function sitePart(site, detail, seed) {
+  const args = { params: site.params, detail };
+  return { key: `${site.kind}:${detail}:${JSON.stringify(site.params)}:${seed}`, kind: site.kind, seed, args };
+}
+
+const mergedTower = (state, detail) => {
+  const tower = buildTower(state, detail);
+  return state.mergeStatic ? mergeStaticMeshes(tower) : tower;
+};
+
+const PART_BUILDERS = {
+  tower: ({ state, detail }) => mergedTower(state, detail),
+  // The shrine stays at medium detail wherever the camera is.
+  shrine: ({ state }) => mergedTower(state, "medium"),
+  walls: ({ spanX, spanZ, thickness, height, lampSpacing }) =>
+    buildWalls(spanX, spanZ, thickness, height, graniteMaterial(), -20, lampSpacing * 1.5),
+  mandapa: ({ params, detail }) => buildMandapa(params, detail),
+  flagstaff: ({ params, detail }) => buildFlagstaff(params, detail),
+  kalyani: ({ params, detail }) => buildKalyani(params, detail)
+};
+
+// Builds one part from its description ({ key, kind, seed, args }, all structured-cloneable).
+export function buildPart(part) {
+  setTextureSeed(part.seed);
+  return PART_BUILDERS[part.kind](part.args);
+}
+
+// Parts the complex needs with the camera at camPos: every wall ring, the shrine and the visible
+// level of each tower and site element. Without camPos every detail level is listed.
+export function complexParts(state, camPos = null) {
+  const layout = complexLayout(state);
+  const levels = pos => (camPos ? [detailForPos(camPos, pos, state)] : DETAIL_LEVELS);
+  const parts = [shrinePart(state)];
+  layout.rings.forEach(ring => {
+    parts.push(wallPart(ring, state));
+    ring.towers.forEach(t => levels(t.position).forEach(detail => parts.push(towerPart(state, detail))));
+  });
+  layout.sites.forEach(site => levels(site.position).forEach(detail => parts.push(sitePart(site, detail, state.seed))));
+  return [...new Map(parts.map(p => [p.key, p])).values()];
+}
+
+// Resolves parts on the spot, building each once; the clones handed out share its geometry.
+export function createPartResolver() {
+  const built = new Map();
+  return part => {
+    if (!built.has(part.key)) built.set(part.key, buildPart(part));
+    return built.get(part.key).clone();
+  };
+}
+
+// Assembles the complex. resolvePart(part) returns a new instance of a part, or null while it is
+// still being built elsewhere; the default builds everything synchronously.
+export function buildTempleComplex(state, camPos = new THREE.Vector3(), resolvePart = createPartResolver()) {
+  const group = new THREE.Group();
+  group.name = "TempleComplex";
+  complexResolvers.set(group, resolvePart);
+  const layout = complexLayout(state);
+  const add = (part, name) => {
+    const obj = resolvePart(part);
+    if (!obj) return;
+    obj.name = name;
+    group.add(obj);
+  };
+
+  layout.rings.forEach(ring => {
+    add(wallPart(ring, state), `Walls_Ring${ring.index}`);
+    placeTowers(group, state, ring);
+    if (ring.index === 0) add(shrinePart(state), "CentralShrine");
+  });
+
+  layout.sites.forEach(site => {
+    const lod = cachedLOD(site.name, state, detail => sitePart(site, detail, state.seed));
+    lod.position.copy(site.position);
+    lod.rotation.y = site.rot;
+    group.add(lod);
+  });
+
+  updateComplexDetail(group, camPos);
+  return group;
+}
+
+// Towers and site elements sit in a THREE.LOD with one empty holder per detail level. A level is
+// filled the first time the camera comes into its range and then kept, so crossing a boundary only
+// switches visibility; the whole complex is reassembled only when the design changes.
+function cachedLOD(name, state, partFor) {
+  const lod = new THREE.LOD();
+  lod.name = name;
+  // Levels are picked by updateComplexDetail, which also works headless without a camera.
+  lod.autoUpdate = false;
+  const { highCut, medCut } = detailCuts(state);
+  [0, highCut, medCut].forEach((distance, idx) => {
+    const holder = new THREE.Group();
+    holder.name = `${name}_${DETAIL_LEVELS[idx]}`;
+    holder.visible = false;
+    lod.addLevel(holder, distance);
+  });
+  lodParts.set(lod, { parts: DETAIL_LEVELS.map(partFor), beadDistance: state.beadEnabled ? state.beadDistance : 0 });
+  return lod;
+}
+
+// Shows the level of each cached LOD in `complex` that matches its distance to camPos, filling it
+// on first use, and shows tier beads only within beadDistance. A level whose part is still being
+// built leaves the current one in place. Returns true when anything switched.
+export function updateComplexDetail(complex, camPos) {
+  const resolvePart = complexResolvers.get(complex);
+  complex.updateMatrixWorld();
+  const pos = new THREE.Vector3();
+  let changed = false;
+  complex.children.forEach(lod => {
+    const entry = lodParts.get(lod);
+    if (!entry) return;
+    const dist = pos.setFromMatrixPosition(lod.matrixWorld).distanceTo(camPos);
+    const holder = lod.getObjectForDistance(dist);
+    if (!holder.children.length) {
+      const obj = resolvePart(entry.parts[lod.levels.findIndex(l => l.object === holder)]);
+      if (!obj) return;
+      holder.add(obj);
+    }
+    lod.levels.forEach(({ object }) => {
+      if (object.visible !== (object === holder)) changed = true;
+      object.visible = object === holder;
+    });
+    const beads = dist < entry.beadDistance;
+    holder.traverse(child => {
+      if (child.name !== "Beads" || child.visible === beads) return;
+      child.visible = beads;
+      changed = true;
+    });
+  });
+  return changed;
+}
+
+// Detail level shown by each cached LOD, in scene order, e.g. "high,high,medium,...,low".
+// A level still waiting for its part reports the one it is holding on to.
+export function computeDetailSignature(complex) {
+  const sig = [];
+  complex.children.forEach(lod => {
+    if (!lodParts.has(lod)) return;
+    const shown = lod.levels.findIndex(level => level.object.visible);
+    sig.push(shown < 0 ? "none" : DETAIL_LEVELS[shown]);
+  });
+  return sig.join(",");
+}
+
+function buildWalls(spanX, spanZ, thickness, height, mat, yOffset = 0, lampSpacing = 0) {
+  // Single extruded ring for crisp corners (no overlapping “#” pattern).
+  const walls = new THREE.Group();
+  const outerX = spanX / 2 + thickness;
+  const outerZ = spanZ / 2 + thickness;
+  const innerX = Math.max(1, spanX / 2 - thickness);
+  const innerZ = Math.max(1, spanZ / 2 - thickness);
+
+  const shape = new THREE.Shape([
+    new THREE.Vector2(-outerX, -outerZ),
+    new THREE.Vector2(outerX, -outerZ),
+    new THREE.Vector2(outerX, outerZ),
+    new THREE.Vector2(-outerX, outerZ)
+  ]);
+  const hole = new THREE.Path([
+    new THREE.Vector2(-innerX, -innerZ),
+    new THREE.Vector2(-innerX, innerZ),
+    new THREE.Vector2(innerX, innerZ),
+    new THREE.Vector2(innerX, -innerZ)
+  ]);
+  shape.holes.push(hole);
+
+  const geo = new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false });
+  geo.rotateX(-Math.PI / 2);
+  // Extend wall downward slightly more to fully close gap to plinth.
+  const plinthExtra = thickness * 0.5;
+  geo.translate(0, height / 2 + yOffset - plinthExtra, 0);
+  const mesh = new THREE.Mesh(geo, mat);
+  mesh.name = "WallRing";
+  walls.add(mesh);
+
+  if (lampSpacing > 0) {
+    // Festival string along the outer edge of the wall top.
+    geo.computeBoundingBox();
+    const y = geo.boundingBox.max.y + LAMP_RADIUS;
+    const lamps = createLampString(lampSpacing);
+    lamps.addLoop([[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => new THREE.Vector3(sx * outerX, y, sz * outerZ)));
+    const string = lamps.build();
+    if (string) walls.add(string);
+  }
+
+  // Add a stepped plinth beneath the wall ring.
+  const stepHeights = [thickness * 0.35, thickness * 0.25, thickness * 0.2];
+  let accHeight = 0;
+  stepHeights.forEach((h, idx) => {
+    const scale = 1 + 0.1 * (stepHeights.length - idx); // wider toward ground
+    const ox = outerX * scale;
+    const oz = outerZ * scale;
+    const ix = Math.max(1, innerX * scale - thickness * 0.4);
+    const iz = Math.max(1, innerZ * scale - thickness * 0.4);
+    const stepShape = new THREE.Shape([
+      new THREE.Vector2(-ox, -oz),
+      new THREE.Vector2(ox, -oz),
+      new THREE.Vector2(ox, oz),
+      new THREE.Vector2(-ox, oz)
+    ]);
+    const stepHole = new THREE.Path([
+      new THREE.Vector2(-ix, -iz),
+      new THREE.Vector2(-ix, iz),
+      new THREE.Vector2(ix, iz),
+      new THREE.Vector2(ix, -iz)
+    ]);
+    stepShape.holes.push(stepHole);
+    const stepGeo = new THREE.ExtrudeGeometry(stepShape, { depth: h, bevelEnabled: false });
+    stepGeo.rotateX(-Math.PI / 2);
+    // Stack steps upward from the ground reference (yOffset).
+    stepGeo.translate(0, yOffset + accHeight + h / 2, 0);
+    const stepMesh = new THREE.Mesh(stepGeo, mat);
+    stepMesh.name = `WallPlinthStep${idx}`;
+    walls.add(stepMesh);
+    accHeight += h;
+  });
+  return walls;
+}
+
+function placeTowers(group, state, ring) {
+  ring.towers.forEach(cfg => {
+    const lod = cachedLOD(`Gopuram_Ring${ring.index}_${cfg.side}`, state, detail => towerPart(state, detail));
+    lod.scale.setScalar(ring.towerScale);
+    lod.position.copy(cfg.position);
+    lod.rotation.y = cfg.rot;
+    group.add(lod);
+  });
+}
+
+// Distance cuts between detail levels: lodNear and lodFar, each pulled in by a hysteresis margin
+// of 5% of lodNear.
+export function detailCuts(st) {
+  const near = Math.min(st.lodNear, st.lodFar - 50);
+  const far = Math.max(st.lodFar, near + 50);
+  const hysteresis = near * 0.05;
+  const highCut = Math.max(50, near - hysteresis);
+  const medCut = Math.max(highCut + 25, far - hysteresis);
+  return { highCut, medCut };
+}
+
+export function detailForPos(camPos, towerPos, st) {
+  const { highCut, medCut } = detailCuts(st);
+  const dist = camPos.distanceTo(towerPos);
+  if (dist < highCut) return "high";
+  if (dist < medCut) return "medium";
+  return "low";
+}
@@ -1,11 +1,11 @@
 import * as THREE from "three";
-import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { ImprovedNoise } from "three/addons/math/ImprovedNoise.js";
 import { palette, defaultProfile } from "./state.js";
-
-const noiseGen = new ImprovedNoise();
-const materialCache = new Map();
-const textureCache = new Map();
+import { materials, setTextureSeed } from "./materials.js";
+import { createNoise2d } from "./random.js";
+import { createProfileMorph } from "./profileMorph.js";
+import { createTowerTaper } from "./taper.js";
+import { createSculptureSet } from "./sculpture.js";
+import { createLampString, LAMP_RADIUS } from "./lamps.js";
 
 function setInstanceMatrix(mesh, index, position, rotation = new THREE.Euler(), scale = new THREE.Vector3(1, 1, 1)) {
   const m = new THREE.Matrix4();
@@ -13,97 +13,6 @@ function setInstanceMatrix(mesh, index, position, rotation = new THREE.Euler(),
   mesh.setMatrixAt(index, m);
 }
 
-function makeNoiseTexture(baseColor, noiseColor, size = 256, density = 0.08) {
-  const key = `${baseColor}-${noiseColor}-${size}-${density}`;
-  if (textureCache.has(key)) return textureCache.get(key);
-  const canvas = document.createElement("canvas");
-  canvas.width = canvas.height = size;
-  const ctx = canvas.getContext("2d");
-  ctx.fillStyle = baseColor;
-  ctx.fillRect(0, 0, size, size);
-  const dots = Math.floor(size * size * density);
-  ctx.fillStyle = noiseColor;
-  for (let i = 0; i < dots; i++) {
-    const x = Math.random() * size;
-    const y = Math.random() * size;
-    const r = Math.random() * 1.2 + 0.3;
-    ctx.globalAlpha = Math.random() * 0.35;
-    ctx.fillRect(x, y, r, r);
-  }
-  ctx.globalAlpha = 1;
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-  tex.anisotropy = 4;
-  textureCache.set(key, tex);
-  return tex;
-}
-
-function getMaterial(key, params) {
-  if (materialCache.has(key)) return materialCache.get(key);
-  const mat = new THREE.MeshStandardMaterial(params);
-  materialCache.set(key, mat);
-  return mat;
-}
-
-function createMaterials() {
-  // Granite base: cool gray with subtle speckle.
-  const graniteTex = makeNoiseTexture("#8e929a", "#5c6068", 256, 0.07);
-  // Lime plaster: warm off-white with subtle variation.
-  const plasterTex = makeNoiseTexture("#f3f1e4", "#d8d2be", 256, 0.045);
-  const woodTex = makeNoiseTexture("#5a3a1f", "#2f1f12", 256, 0.05);
-  const metalTex = makeNoiseTexture("#d4a33a", "#8f6a1f", 256, 0.03);
-  graniteTex.repeat.set(4, 4);
-  plasterTex.repeat.set(3, 3);
-  woodTex.repeat.set(2, 2);
-  metalTex.repeat.set(2, 2);
-  return {
-    stone: () =>
-      getMaterial("stone", {
-        color: 0x8e929a,
-        map: graniteTex,
-        roughness: 0.9,
-        metalness: 0.03
-      }),
-    stoneDark: () =>
-      getMaterial("stoneDark", {
-        color: 0x585d66,
-        map: graniteTex,
-        roughness: 0.95,
-        metalness: 0.02
-      }),
-    plaster: color =>
-      getMaterial(`plaster-${color}`, {
-        color,
-        map: plasterTex,
-        roughness: 0.75,
-        metalness: 0.05
-      }),
-    wood: () =>
-      getMaterial("wood", {
-        color: 0x5a3a1f,
-        map: woodTex,
-        roughness: 0.8,
-        metalness: 0.05
-      }),
-    metal: () =>
-      getMaterial("metal", {
-        color: 0xd7a500,
-        map: metalTex,
-        roughness: 0.4,
-        metalness: 0.65
-      }),
-    bronze: () =>
-      getMaterial("bronze", {
-        color: 0xb8863b,
-        map: metalTex,
-        roughness: 0.55,
-        metalness: 0.65
-      })
-  };
-}
-
-const materials = createMaterials();
-
 function fractalOutline(width, depth, levels = 4, shrink = 0.8) {
   const w2 = width / 2;
   const d2 = depth / 2;
@@ -150,7 +59,7 @@ function fractalOutline(width, depth, levels = 4, shrink = 0.8) {
   return unique;
 }
 
-function profileToShape(profilePoints, width, depth, fallbackSteps = 4, insetFrac = 0) {
+export function profileToShape(profilePoints, width, depth, fallbackSteps = 4, insetFrac = 0) {
   const pts = (profilePoints && profilePoints.length ? profilePoints : defaultProfile).map(p =>
     Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y }
   );
@@ -201,11 +110,6 @@ function profileToShape(profilePoints, width, depth, fallbackSteps = 4, insetFra
   return new THREE.Shape(unique);
 }
 
-function noise2d(x, z) {
-  // ImprovedNoise returns -1..1; normalize to 0..1
-  return (noiseGen.noise(x, 0, z) + 1) * 0.5;
-}
-
 function addDoorPlanes(group, height, depth, doorHeightOffset) {
   const doorW = group.userData.baseW * 0.22;
   const doorH = height * 0.62;
@@ -265,7 +169,7 @@ function addStripes(container, width, height, depth, colorHex) {
   }
 }
 
-function addCornice(container, width, depth, baseColor, profilePoints, steps = 4) {
+function addCornice(container, width, depth, baseColor, profilePoints, steps = 4, lamps = null) {
   const darker = new THREE.Color(baseColor).lerp(new THREE.Color(0x000000), 0.2);
   const columnWidth = 6; // matches cylinder diameter in addColumns
   const corniceH = columnWidth * 0.5; // give thickness so it is not just a plane
@@ -284,6 +188,12 @@ function addCornice(container, width, depth, baseColor, profilePoints, steps = 4
   main.position.y = -corniceH * 0.4;
   container.add(main);
 
+  if (lamps) {
+    // String hung under the cornice's outer edge, in tower space (the layer only moves up).
+    const y = container.position.y + main.position.y - LAMP_RADIUS;
+    lamps.addLoop(shape.getPoints().map(p => new THREE.Vector3(p.x, y, -p.y + corniceH / 2)));
+  }
+
   // Secondary stepped cornice slightly inset and raised for a stepped effect.
   const secondaryH = corniceH * 0.65;
   const secondary = makeCorniceMesh(secondaryH, 0.96);
@@ -291,36 +201,35 @@ function addCornice(container, width, depth, baseColor, profilePoints, steps = 4
   container.add(secondary);
 }
 
+// Stepped plinth courses from the ground up; the last course is the main body.
+export function plinthCourses(baseW, baseD, plinthH) {
+  const stepHeights = [plinthH * 0.15, plinthH * 0.12, plinthH * 0.1];
+  const scales = [1.28, 1.2, 1.12];
+  const courses = stepHeights.map((h, idx) => ({ w: baseW * scales[idx], d: baseD * scales[idx], h }));
+  const stepsH = stepHeights.reduce((a, b) => a + b, 0);
+  const bodyH = Math.max(plinthH - stepsH, plinthH * 0.5);
+  courses.push({ w: baseW * 1.06, d: baseD * 1.06, h: bodyH });
+  return courses;
+}
+
 function addPlinth(baseW, baseD, plinthH) {
   const g = new THREE.Group();
-  const stepHeights = [plinthH * 0.15, plinthH * 0.12, plinthH * 0.1];
+  const courses = plinthCourses(baseW, baseD, plinthH);
   let yAcc = 0;
+  let body = null;
 
-  const steps = [
-    { w: 1.28, d: 1.28 },
-    { w: 1.2, d: 1.2 },
-    { w: 1.12, d: 1.12 }
-  ];
-
-  steps.forEach((s, idx) => {
-    const h = stepHeights[idx];
+  courses.forEach((c, idx) => {
+    const isBody = idx === courses.length - 1;
     const m = new THREE.Mesh(
-      new THREE.BoxGeometry(baseW * s.w, h, baseD * s.d),
-      materials.stoneDark()
+      new THREE.BoxGeometry(c.w, c.h, c.d),
+      isBody ? materials.stone() : materials.stoneDark()
     );
-    m.position.y = yAcc + h / 2;
+    m.position.y = yAcc + c.h / 2;
     g.add(m);
-    yAcc += h;
+    yAcc += c.h;
+    if (isBody) body = m;
   });
-
-  const bodyH = Math.max(plinthH - yAcc, plinthH * 0.5);
-  const body = new THREE.Mesh(
-    new THREE.BoxGeometry(baseW * 1.06, bodyH, baseD * 1.06),
-    materials.stone()
-  );
-  body.position.y = yAcc + bodyH / 2;
-  g.add(body);
-  yAcc += bodyH;
+  const bodyH = courses[courses.length - 1].h;
 
   // add face protrusions to mimic cross/stepped outline
   const protrudeW = baseW * 0.38;
@@ -396,6 +305,8 @@ function addBeadRow(container, width, depth, y, mat) {
   const count = Math.max(6, Math.floor(width / 20));
   const total = count * 2;
   const inst = new THREE.InstancedMesh(beadGeo, mat, total);
+  // The complex shows or hides beads by camera distance under this name.
+  inst.name = "Beads";
   inst.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
   const inset = Math.min(10, Math.min(width, depth) * 0.02);
   let idx = 0;
@@ -407,38 +318,6 @@ function addBeadRow(container, width, depth, y, mat) {
   container.add(inst);
 }
 
-function buildStatue(scale = 1) {
-  const group = new THREE.Group();
-  const bodyMat = materials.plaster(0xf0c8a0);
-  const baseMat = materials.stoneDark();
-  const base = new THREE.Mesh(new THREE.CylinderGeometry(5 * scale, 6 * scale, 6 * scale, 8), baseMat);
-  base.position.y = 3 * scale;
-  group.add(base);
-  const torso = new THREE.Mesh(new THREE.SphereGeometry(6 * scale, 10, 8), bodyMat);
-  torso.position.y = 12 * scale;
-  group.add(torso);
-  const head = new THREE.Mesh(new THREE.SphereGeometry(4 * scale, 12, 10), bodyMat);
-  head.position.y = 20 * scale;
-  group.add(head);
-  const crown = new THREE.Mesh(new THREE.ConeGeometry(4 * scale, 6 * scale, 10), materials.metal());
-  crown.position.y = 26 * scale;
-  group.add(crown);
-  return group;
-}
-
-function addStatueRow(container, width, height, depth, count) {
-  const y = height * 0.15;
-  for (let side = -1; side <= 1; side += 2) {
-    for (let i = 0; i < count; i++) {
-      const x = THREE.MathUtils.lerp(-width / 2 + 10, width / 2 - 10, i / Math.max(1, count - 1));
-      const s = buildStatue(0.4);
-      s.position.set(x, y, (depth / 2 + 6) * side);
-      s.rotation.y = side === 1 ? Math.PI : 0;
-      container.add(s);
-    }
-  }
-}
-
 function addMiniShrines(container, width, height, depth, protrudeFactor = 0.125, colorHex = 0xffc896) {
   const miniW = width * 0.15;
   const miniD = depth * 0.15;
@@ -539,14 +418,14 @@ function columnPositions(span, count) {
   return positions;
 }
 
-function addKalashas(container, topY, scaleX, layout = "ring", spanX = 0) {
-  const r = 20 * scaleX;
-  const h = 40 * scaleX;
+function addKalashas(container, topY, scaleX, layout = "ring", spanX = 0, count = 6) {
+  let r = 20 * scaleX;
   const positions = [];
-  const count = 6;
 
   if (layout === "ridge") {
     const half = (spanX || r * 10) * 0.45;
+    // Keep neighbouring pots from overlapping on short ridges.
+    if (count > 1) r = Math.min(r, ((2 * half) / (count - 1)) * 0.45);
     for (let i = 0; i < count; i++) {
       const t = count === 1 ? 0.5 : i / (count - 1);
       const x = THREE.MathUtils.lerp(-half, half, t);
@@ -559,6 +438,7 @@ function addKalashas(container, topY, scaleX, layout = "ring", spanX = 0) {
       positions.push(new THREE.Vector3(Math.cos(theta) * ringRadius, topY, Math.sin(theta) * ringRadius));
     }
   }
+  const h = r * 2;
   const mat = materials.metal();
 
   for (const pos of positions) {
@@ -574,6 +454,7 @@ function addKalashas(container, topY, scaleX, layout = "ring", spanX = 0) {
 
     container.add(g);
   }
+  if (layout === "ridge") return;
 
   const railCount = 14;
   const railGeo = new THREE.ConeGeometry(r * 0.25, h * 0.6, 12);
@@ -588,31 +469,173 @@ function addKalashas(container, topY, scaleX, layout = "ring", spanX = 0) {
   container.add(rail);
 }
 
+// Wagon-vault cross-section in the YZ plane: straight haunches rising into a slightly
+// pointed barrel, the horseshoe outline of a shala roof.
+function shalaSection(span, rise, haunch, segments = 16) {
+  const half = span / 2;
+  const pts = [new THREE.Vector2(-half, 0)];
+  for (let i = 0; i <= segments; i++) {
+    const a = Math.PI * (1 - i / segments);
+    const x = Math.cos(a) * half;
+    const y = haunch + Math.pow(Math.sin(a), 0.8) * (rise - haunch);
+    pts.push(new THREE.Vector2(x, y));
+  }
+  pts.push(new THREE.Vector2(half, 0));
+  return pts;
+}
+
+// Barrel-vault crown (shala) sized to the top tier, with gable windows and ridge kalashas.
+function addShala(container, topY, width, depth, state, colorHex, detail) {
+  const crown = new THREE.Group();
+  crown.name = "Crown";
+  crown.position.y = topY;
+
+  const length = width * 0.82;
+  const span = depth * 0.62;
+  const rise = span * state.shalaRise;
+  const haunch = rise * 0.3;
+  const plaster = materials.plaster(colorHex);
+  const darker = new THREE.Color(colorHex).lerp(new THREE.Color(0x000000), 0.2).getHex();
+
+  // Low base course the vault sits on.
+  const plinthH = Math.max(2, rise * 0.12);
+  const plinth = new THREE.Mesh(new THREE.BoxGeometry(length * 1.06, plinthH, span * 1.08), materials.plaster(darker));
+  plinth.position.y = plinthH / 2;
+  crown.add(plinth);
+
+  const section = shalaSection(span, rise, haunch);
+  const vaultGeo = new THREE.ExtrudeGeometry(new THREE.Shape(section), { depth: length, bevelEnabled: false });
+  // Extrude runs along +Z; turn it so the vault runs along the tower's wide (X) face.
+  vaultGeo.translate(0, 0, -length / 2);
+  vaultGeo.rotateY(Math.PI / 2);
+  const vault = new THREE.Mesh(vaultGeo, plaster);
+  vault.name = "ShalaVault";
+  vault.position.y = plinthH;
+  crown.add(vault);
+
+  if (detail !== "low") {
+    // Kirtimukha gable windows: a projecting arch frame with a dark opening and a crest medallion.
+    const outer = shalaSection(span * 1.08, rise * 1.06, haunch);
+    const frameShape = new THREE.Shape(outer);
+    const opening = shalaSection(span * 0.5, rise * 0.62, haunch * 0.5).map(p => new THREE.Vector2(p.x, p.y + rise * 0.08));
+    frameShape.holes.push(new THREE.Path(opening.slice().reverse()));
+    const frameDepth = Math.max(1.5, length * 0.03);
+    const frameGeo = new THREE.ExtrudeGeometry(frameShape, { depth: frameDepth, bevelEnabled: false });
+    const windowGeo = new THREE.ShapeGeometry(new THREE.Shape(opening));
+    const frameMat = materials.plaster(darker);
+    const windowMat = materials.stoneDark();
+    const crestR = span * 0.07;
+    const crestGeo = new THREE.CylinderGeometry(crestR, crestR, frameDepth * 1.2, 16);
+    crestGeo.rotateX(Math.PI / 2);
+
+    [1, -1].forEach(side => {
+      const gable = new THREE.Group();
+      gable.name = side > 0 ? "GableEast" : "GableWest";
+      gable.rotation.y = side * (Math.PI / 2);
+      gable.position.set(side * (length / 2 - frameDepth * 0.5), plinthH, 0);
+
+      const frame = new THREE.Mesh(frameGeo, frameMat);
+      gable.add(frame);
+      const win = new THREE.Mesh(windowGeo, windowMat);
+      win.position.z = frameDepth * 0.5;
+      gable.add(win);
+      const crest = new THREE.Mesh(crestGeo, materials.metal());
+      crest.position.set(0, rise * 0.86, frameDepth);
+      gable.add(crest);
+      crown.add(gable);
+    });
+  }
+
+  addKalashas(crown, plinthH + rise, state.scaleX, "ridge", length, state.shalaKalashas);
+  container.add(crown);
+}
+
+// Overall tower proportions shared by the mesh builder and the print exporter.
+export function towerDimensions(state) {
+  const baseW = 250 * state.scaleX;
+  const baseD = 180 * state.scaleZ;
+  const baseH = 100 * state.baseScale;
+  const totalH = 720 * state.scaleY;
+  const tiers = Math.max(1, state.striations);
+  const tierH = (totalH - baseH) / tiers;
+  return { baseW, baseD, baseH, totalH, tiers, tierH, plinthH: baseH * 0.35 };
+}
+
+// Plaster colour for sub-step j of tier i under state.colorRule.
+function createColorRule(state, tiers) {
+  const colors = state.palette && state.palette.length ? state.palette : palette;
+  if (state.colorRule === "tier") return i => colors[i % colors.length];
+  if (state.colorRule === "gradient") {
+    const a = new THREE.Color();
+    const b = new THREE.Color();
+    // One colour per tier keeps the material count bounded.
+    return i => {
+      const f = (tiers > 1 ? i / (tiers - 1) : 0) * (colors.length - 1);
+      const k = Math.min(colors.length - 1, Math.floor(f));
+      a.setHex(colors[k]);
+      b.setHex(colors[Math.min(colors.length - 1, k + 1)]);
+      return a.lerp(b, f - k).getHex();
+    };
+  }
+  return (i, j) => colors[(i + j) % colors.length];
+}
+
+// Fixed mini-shrine/column colour, or null when they follow their tier.
+export function accentColor(state) {
+  if (!state.accentFixed) return null;
+  const colors = state.palette && state.palette.length ? state.palette : palette;
+  return colors[(state.shrineColorIndex ?? 0) % colors.length];
+}
+
+// Tier/sub-step layout for a given detail level. yOffset is measured from the top of the base.
+export function towerLayers(state, detail = "high") {
+  const { baseW, baseD, tiers, tierH } = towerDimensions(state);
+  const { noiseIntensity, visibleTiers } = state;
+  const noise2d = createNoise2d(state.seed);
+  const profileAt = createProfileMorph(state);
+  const taperAt = createTowerTaper(state);
+  const colorAt = createColorRule(state, tiers);
+  const shrink = state.subStepShrink ?? 0.1;
+  const layers = [];
+  for (let i = 0; i < tiers && i < visibleTiers; i++) {
+    const subStepsBase = 2 + Math.floor(noise2d(i * 0.3, 0) * 2);
+    const subSteps = detail === "low" ? 1 : detail === "medium" ? Math.max(1, Math.floor(subStepsBase * 0.8)) : subStepsBase;
+    const isTopRendered = i === Math.min(tiers, visibleTiers) - 1;
+
+    for (let j = 0; j < subSteps; j++) {
+      const subT = j / subSteps;
+      const h = tierH / subSteps;
+      // Height fractions count all tiers, so hiding tiers does not shift the taper or the morph.
+      const t = (i + subT) / tiers;
+      const taper = taperAt(t);
+      layers.push({
+        tier: i,
+        step: j,
+        subSteps,
+        isTopRendered,
+        w: baseW * taper.w * (1 - subT * shrink),
+        d: baseD * taper.d * (1 - subT * shrink),
+        h,
+        yOffset: i * tierH + j * h,
+        profile: profileAt(t),
+        colorHex: colorAt(i, j),
+        noiseOffset: (noise2d((i + j) * 0.3, j * 0.17) - 0.5) * (noiseIntensity * 0.5)
+      });
+    }
+  }
+  return layers;
+}
+
 export function buildTower(state, detail = "high", beadVisible = true) {
   const group = new THREE.Group();
   group.name = "Gopuram";
+  setTextureSeed(state.seed);
 
-  const {
-    scaleX,
-    scaleY,
-    scaleZ,
-    striations,
-    noiseIntensity,
-    baseScale,
-    doorHeightOffset,
-    columnCount,
-    visibleTiers,
-    profilePoints
-  } = state;
-
-  const baseW = 250 * scaleX;
-  const baseD = 180 * scaleZ;
-  const baseH = 100 * baseScale;
-  const totalH = 720 * scaleY;
-  const tiers = Math.max(1, striations);
-  const tierH = (totalH - baseH) / tiers;
+  const { doorHeightOffset, columnCount, profilePoints } = state;
+  const { baseW, baseD, baseH, plinthH } = towerDimensions(state);
 
-  const plinth = addPlinth(baseW, baseD, baseH * 0.35);
+  const plinth = addPlinth(baseW, baseD, plinthH);
+  plinth.name = "Plinth";
   group.add(plinth);
   // Use actual bounding height of plinth to seat the base flush.
   const plinthBox = new THREE.Box3().setFromObject(plinth);
@@ -621,64 +644,63 @@ export function buildTower(state, detail = "high", beadVisible = true) {
 
   const base = buildProfiledPrism(baseW, baseD, baseH, materials.stone(), profilePoints, tierSteps(state));
   base.position.y = baseH / 2 + plinthTop;
+  base.name = "Base";
   base.userData.baseW = baseW;
   group.add(base);
   addDoorPlanes(base, baseH, baseD, doorHeightOffset);
 
   let topY = base.position.y + baseH / 2;
-
-  for (let i = 0; i < tiers && i < visibleTiers; i++) {
-    const t = i / tiers;
-    const baseTierScale = 1 - t * 0.3;
-    const subStepsBase = 2 + Math.floor(noise2d(i * 0.3, 0) * 2);
-    const subSteps = detail === "low" ? 1 : detail === "medium" ? Math.max(1, Math.floor(subStepsBase * 0.8)) : subStepsBase;
-    const isTopRendered = i === Math.min(tiers, visibleTiers) - 1;
-
-    for (let j = 0; j < subSteps; j++) {
-      const subT = j / subSteps;
-      const w = baseW * baseTierScale * (1 - subT * 0.1);
-      const d = baseD * baseTierScale * (1 - subT * 0.1);
-      const h = tierH / subSteps;
-      const yOffset = i * tierH + j * h;
-      const noiseOffset = (noise2d((i + j) * 0.3, j * 0.17) - 0.5) * (noiseIntensity * 0.5);
-      const yBase = plinthTop + baseH + yOffset + noiseOffset;
-
-    const colorHex = palette[(i + j) % palette.length];
+  let top = { w: baseW, d: baseD, colorHex: (state.palette || palette)[0] };
+  const accent = accentColor(state);
+  const sculptures = createSculptureSet(state, detail);
+  // Fewer lamps further out, where they blur together anyway.
+  const lamps = createLampString(state.lampSpacing * (detail === "high" ? 1 : detail === "medium" ? 1.5 : 2.5));
+
+  for (const { tier: i, step: j, isTopRendered, w, d, h, yOffset, profile, colorHex, noiseOffset } of towerLayers(state, detail)) {
+    const yBase = plinthTop + baseH + yOffset + noiseOffset;
     const layer = new THREE.Group();
+    layer.name = `Tier${i}_Step${j}`;
     layer.position.y = yBase;
 
-      const tierMesh = buildSteppedTier(w, d, h, colorHex, tierSteps(state), profilePoints);
-      tierMesh.position.y = h / 2;
-      layer.add(tierMesh);
-
-      if (detail !== "low") {
-        addPilasters(layer, w, h, d, Math.max(3, columnCount - 1), materials.plaster(colorHex));
-        addNiches(layer, w, h, d);
-        addStripes(layer, w, h, d, colorHex);
-      }
-      if (detail === "high") {
-        addStatueRow(layer, w, h, d, Math.max(3, columnCount - 2));
-      }
-      if (!isTopRendered && detail !== "low") {
-        // Match mini-shrine body to the current tier color for cohesive striations.
-        addMiniShrines(layer, w, h, d, state.shrineProtrude ?? 0.125, colorHex);
-      }
-      if (detail !== "low") {
-        // Keep full column count in medium/high LOD so columns remain visible.
-        addColumns(layer, w, h, d, columnCount, colorHex);
-      }
-      // Always draw cornices, even for medium/low LOD.
-      addCornice(layer, w, d, colorHex, profilePoints, tierSteps(state));
-      if (detail === "high" && state.beadEnabled && beadVisible) {
-        addBeadRow(layer, w, d, h * 0.05, materials.stoneDark());
-      }
-
-      group.add(layer);
-      topY = Math.max(topY, yBase + h);
+    const tierMesh = buildSteppedTier(w, d, h, colorHex, tierSteps(state), profile);
+    tierMesh.position.y = h / 2;
+    layer.add(tierMesh);
+
+    if (detail !== "low") {
+      addPilasters(layer, w, h, d, Math.max(3, columnCount - 1), materials.plaster(colorHex));
+      addNiches(layer, w, h, d);
+      addStripes(layer, w, h, d, colorHex);
+    }
+    if (detail !== "low") {
+      // Medium LOD gets the low-poly figures; all rows are instanced tower-wide below.
+      sculptures.addRow(i, yBase, w, h, d, Math.max(3, columnCount - 2));
+    }
+    if (!isTopRendered && detail !== "low") {
+      // Match mini-shrine body to the current tier color for cohesive striations.
+      addMiniShrines(layer, w, h, d, state.shrineProtrude ?? 0.125, accent ?? colorHex);
     }
+    if (detail !== "low") {
+      // Keep full column count in medium/high LOD so columns remain visible.
+      addColumns(layer, w, h, d, columnCount, accent ?? colorHex);
+    }
+    // Always draw cornices, even for medium/low LOD.
+    addCornice(layer, w, d, colorHex, profile, tierSteps(state), lamps);
+    if (detail === "high" && state.beadEnabled && beadVisible) {
+      addBeadRow(layer, w, d, h * 0.05, materials.stoneDark());
+    }
+
+    group.add(layer);
+    if (yBase + h >= topY) top = { w, d, colorHex };
+    topY = Math.max(topY, yBase + h);
   }
 
-  addKalashas(group, topY, scaleX);
+  const sculptureGroup = sculptures.build();
+  if (sculptureGroup) group.add(sculptureGroup);
+  const lampMesh = lamps.build();
+  if (lampMesh) group.add(lampMesh);
+
+  if (state.crownType === "shala") addShala(group, topY, top.w, top.d, state, top.colorHex, detail);
+  else addKalashas(group, topY, state.scaleX);
   return group;
 }
 
@@ -705,26 +727,3 @@ function buildSteppedTier(width, depth, height, colorHex, steps, profilePoints)
   geo.translate(0, -height / 2, 0);
   return new THREE.Mesh(geo, materials.plaster(colorHex));
 }
-
-export function createRenderer(container) {
-  const renderer = new THREE.WebGLRenderer({ antialias: true });
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(window.devicePixelRatio);
-  renderer.outputColorSpace = THREE.SRGBColorSpace;
-  container.appendChild(renderer.domElement);
-  return renderer;
-}
-
-export function createCamera(container) {
-  const aspect = window.innerWidth / window.innerHeight;
-  const camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 5000);
-  camera.position.set(700, 450, 900);
-  return camera;
-}
-
-export function createControls(camera, domElement) {
-  const controls = new OrbitControls(camera, domElement);
-  controls.enableDamping = true;
-  controls.target.set(0, 200, 0);
-  return controls;
-}
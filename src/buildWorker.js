@@ -0,0 +1,21 @@
+import { buildPart } from "./buildTemple.js";
+import { serializeObject } from "./sceneTransfer.js";
+import { retain, release } from "./resources.js";
+
+// Build worker for partBuilder.js, loaded through es-module-shims with the page import map: builds
+// one complex part per message and posts it back with its geometry buffers transferred rather than
+// copied.
+self.onmessage = ({ data: part }) => {
+  try {
+    const root = retain(buildPart(part));
+    const { payload, transfer } = serializeObject(root);
+    self.postMessage({ key: part.key, payload }, transfer);
+    // Nothing here outlives the message; releasing the part empties this worker's material cache.
+    release(root);
+  } catch (err) {
+    self.postMessage({ key: part.key, error: err.message });
+  }
+};
+
+// Every import above has resolved; the part builder waits for this before posting work.
+self.postMessage({ ready: true });
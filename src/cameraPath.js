@@ -0,0 +1,65 @@
+import * as THREE from "three";
+
+// Flythroughs between camera bookmarks. A bookmark is a named view { name, position: [x, y, z],
+// target: [x, y, z], fov }; a flythrough is { keys: [{ bookmark, time }], loop } with times in
+// seconds. Positions and targets follow centripetal Catmull-Rom splines through the keyed views, so
+// the camera passes every bookmark without stopping; the FOV blends linearly between them.
+
+export const MAX_BOOKMARKS = 24;
+export const MAX_PATH_KEYS = 32;
+export const MAX_PATH_TIME = 600; // s
+
+const smoothstep = u => u * u * (3 - 2 * u);
+// Starts at rest and leaves at unit speed, matching the segment after it.
+const easeIn = u => u * u * (2 - u);
+const easeOut = u => 1 - easeIn(1 - u);
+
+// Returns { start, end, keys, sample(time, out) }, or null while fewer than two keys name a bookmark.
+// An open path eases out of its first view and into its last one; a looped path returns to the first
+// view over the average key interval and wraps around.
+export function createCameraPath(bookmarks, flythrough) {
+  const byName = new Map(bookmarks.map(b => [b.name, b]));
+  const keys = flythrough.keys.filter(k => byName.has(k.bookmark)).sort((a, b) => a.time - b.time);
+  if (keys.length < 2) return null;
+  const { loop } = flythrough;
+  const views = keys.map(k => byName.get(k.bookmark));
+  const spline = field =>
+    new THREE.CatmullRomCurve3(
+      views.map(v => new THREE.Vector3().fromArray(v[field])),
+      loop,
+      "centripetal"
+    );
+  const positions = spline("position");
+  const targets = spline("target");
+  const times = keys.map(k => k.time);
+  const first = times[0];
+  const last = times[times.length - 1];
+  if (loop) times.push(last + Math.max(last - first, 1) / (keys.length - 1));
+  const end = times[times.length - 1];
+  const segments = times.length - 1;
+
+  return {
+    start: first,
+    end,
+    keys,
+    // Camera view at timeline `time`, written into `out` ({ position, target, fov }). Before the
+    // first key an open path holds its first view.
+    sample(time, out = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 45 }) {
+      const t = loop ? first + THREE.MathUtils.euclideanModulo(time - first, end - first) : THREE.MathUtils.clamp(time, first, end);
+      let i = 0;
+      while (i < segments - 1 && t >= times[i + 1]) i++;
+      const span = times[i + 1] - times[i];
+      let u = span > 0 ? THREE.MathUtils.clamp((t - times[i]) / span, 0, 1) : 1;
+      if (!loop && segments === 1) u = smoothstep(u);
+      else if (!loop && i === 0) u = easeIn(u);
+      else if (!loop && i === segments - 1) u = easeOut(u);
+      const s = (i + u) / segments;
+      positions.getPoint(s, out.position);
+      targets.getPoint(s, out.target);
+      const from = views[i];
+      const to = views[(i + 1) % views.length];
+      out.fov = from.fov + (to.fov - from.fov) * u;
+      return out;
+    }
+  };
+}
@@ -0,0 +1,155 @@
+import * as THREE from "three";
+import { HDRLoader } from "three/addons/loaders/HDRLoader.js";
+
+// Scene environment and background. The procedural sky is painted on the CPU into an
+// equirectangular texture (no network, works headless) with colours and a sun glow that follow the
+// lighting mode; a local .hdr file can replace it. Either is prefiltered with PMREMGenerator for
+// image-based lighting. "flat" leaves the plain background colours of applyLighting.
+
+export const ENVIRONMENT_SOURCES = ["procedural", "hdr file", "flat"];
+
+const SKIES = {
+  day: { zenith: 0x4a78b5, horizon: 0xc9d8e6, ground: 0x4a4640, sun: 0xfff2d8, glow: 0.45 },
+  dusk: { zenith: 0x1a2238, horizon: 0xe08a4a, ground: 0x201a18, sun: 0xffb070, glow: 0.8 },
+  night: { zenith: 0x05070d, horizon: 0x141a28, ground: 0x0a0a0c, sun: 0x000000, glow: 0 }
+};
+// Dusk keeps the key light's bearing but drops the sun's glow onto the horizon; on festival
+// nights it is just below it.
+const DUSK_ALTITUDE = THREE.MathUtils.degToRad(4);
+const FESTIVAL_ALTITUDE = THREE.MathUtils.degToRad(-6);
+
+function atAltitude(dir, altitude) {
+  const flat = Math.hypot(dir.x, dir.z) || 1;
+  return new THREE.Vector3(dir.x, Math.tan(altitude) * flat, dir.z).normalize();
+}
+
+function mixSky(a, b, t) {
+  const mix = (x, y) => new THREE.Color(x).lerp(new THREE.Color(y), t).getHex();
+  return {
+    zenith: mix(a.zenith, b.zenith),
+    horizon: mix(a.horizon, b.horizon),
+    ground: mix(a.ground, b.ground),
+    sun: mix(a.sun, b.sun),
+    glow: a.glow + (b.glow - a.glow) * t
+  };
+}
+
+// Sky colours for a lighting mode ("Day", "Dusk", "Festival", "Sun") and the unit direction toward
+// its sun.
+export function skyForLighting(mode, sunDir) {
+  const dir = sunDir.clone().normalize();
+  if (mode === "Day") return { ...SKIES.day, sunDirection: dir };
+  if (mode === "Dusk") return { ...SKIES.dusk, sunDirection: atAltitude(dir, DUSK_ALTITUDE) };
+  if (mode === "Festival") return { ...mixSky(SKIES.night, SKIES.dusk, 0.3), sunDirection: atAltitude(dir, FESTIVAL_ALTITUDE) };
+  // Solar: night through civil twilight to full day as the sun climbs.
+  const deg = THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)));
+  const sky =
+    deg < 0
+      ? mixSky(SKIES.night, SKIES.dusk, THREE.MathUtils.smoothstep(deg, -12, 0))
+      : mixSky(SKIES.dusk, SKIES.day, THREE.MathUtils.smoothstep(deg, 0, 15));
+  return { ...sky, sunDirection: dir };
+}
+
+// Equirectangular sRGB sky in the layout three.js samples (row 0 at the nadir).
+export function createSkyTexture(sky, width = 512, height = 256) {
+  // sRGB components straight from the hex values; the texture is tagged sRGB.
+  const rgb = hex => [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255].map(v => v / 255);
+  const zenith = rgb(sky.zenith);
+  const horizon = rgb(sky.horizon);
+  const ground = rgb(sky.ground);
+  const sun = rgb(sky.sun);
+  const { x: sx, y: sy, z: sz } = sky.sunDirection;
+  const data = new Uint8Array(width * height * 4);
+  for (let j = 0; j < height; j++) {
+    const lat = ((j + 0.5) / height - 0.5) * Math.PI;
+    const y = Math.sin(lat);
+    const ring = Math.cos(lat);
+    // Sky fades quickly off the horizon; below it the ground darkens faster.
+    const base = y >= 0 ? [horizon, zenith, Math.pow(y, 0.45)] : [horizon, ground, Math.pow(-y, 0.3)];
+    for (let i = 0; i < width; i++) {
+      const lon = ((i + 0.5) / width - 0.5) * Math.PI * 2;
+      const facing = Math.max(0, ring * Math.cos(lon) * sx + y * sy + ring * Math.sin(lon) * sz);
+      const glow = sky.glow * (0.35 * Math.pow(facing, 8) + 0.65 * Math.pow(facing, 160));
+      const disc = facing > 0.99985 ? sky.glow * 2 : 0;
+      const o = (j * width + i) * 4;
+      for (let c = 0; c < 3; c++) {
+        const value = base[0][c] + (base[1][c] - base[0][c]) * base[2] + sun[c] * (glow + disc);
+        data[o + c] = Math.round(THREE.MathUtils.clamp(value, 0, 1) * 255);
+      }
+      data[o + 3] = 255;
+    }
+  }
+  const tex = new THREE.DataTexture(data, width, height);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.mapping = THREE.EquirectangularReflectionMapping;
+  tex.magFilter = tex.minFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+export function createEnvironment(renderer, scene) {
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  let source = "procedural";
+  let hdr = null; // { name, texture, target }
+  let sky = null; // { key, texture, target }
+  let lighting = null;
+
+  function show(background, target) {
+    scene.background = background;
+    scene.environment = target.texture;
+  }
+
+  function showSky() {
+    const params = skyForLighting(lighting.mode, lighting.sunDirection);
+    const d = params.sunDirection;
+    const key = `${lighting.mode}:${d.x.toFixed(3)},${d.y.toFixed(3)},${d.z.toFixed(3)}`;
+    if (!sky || sky.key !== key) {
+      const texture = createSkyTexture(params);
+      const target = pmrem.fromEquirectangular(texture);
+      if (sky) {
+        sky.texture.dispose();
+        sky.target.dispose();
+      }
+      sky = { key, texture, target };
+    }
+    show(sky.texture, sky.target);
+  }
+
+  return {
+    get source() {
+      return source;
+    },
+    get hdrName() {
+      return hdr ? hdr.name : null;
+    },
+    // Call after every lighting change, once the flat background colour is set; `sunDirection`
+    // points toward the key light.
+    update(mode, sunDirection) {
+      lighting = { mode, sunDirection: sunDirection.clone() };
+      if (source === "flat") scene.environment = null;
+      else if (source === "hdr file" && hdr) show(hdr.texture, hdr.target);
+      else showSky();
+    },
+    // Switches source; "hdr file" keeps the procedural sky until a file has been loaded.
+    setSource(next) {
+      if (!ENVIRONMENT_SOURCES.includes(next)) throw new Error(`Unknown environment source ${next}`);
+      source = next;
+    },
+    async loadHDRFile(file) {
+      const url = URL.createObjectURL(file);
+      try {
+        const texture = await new HDRLoader().loadAsync(url);
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        const target = pmrem.fromEquirectangular(texture);
+        if (hdr) {
+          hdr.texture.dispose();
+          hdr.target.dispose();
+        }
+        hdr = { name: file.name, texture, target };
+        source = "hdr file";
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+  };
+}
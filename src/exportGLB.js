@@ -0,0 +1,11 @@
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+
+// Serialize an object (typically the temple group) to a binary glTF ArrayBuffer.
+// Object names and material names are preserved, instanced meshes use EXT_mesh_gpu_instancing.
+export async function exportGLB(object, { onlyVisible = true, resetRotation = true } = {}) {
+  const exporter = new GLTFExporter();
+  // Export an unrotated shallow copy so the auto-rotate angle is not baked into the file.
+  const root = resetRotation ? object.clone() : object;
+  if (resetRotation) root.rotation.set(0, 0, 0);
+  return exporter.parseAsync(root, { binary: true, onlyVisible });
+}
@@ -0,0 +1,140 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+import { zipSync } from "three/addons/libs/fflate.module.js";
+
+// Offscreen PNG stills and turntables. Frames are rendered through their own render targets with a
+// copy of the camera, never to the canvas, so the viewport keeps showing what it showed. Images
+// larger than one target are rendered in tiles with camera.setViewOffset and stitched on a 2D
+// canvas; with bloom the tiles overlap so the glow does not seam at their edges.
+
+export const MAX_IMAGE_SIZE = 16384; // px; browsers refuse larger canvases
+const MAX_TILE = 2048; // px
+const BLOOM_OVERLAP = 64; // px
+
+// Renders `scene` from `camera` at width x height and returns a 2D canvas holding the image. The
+// camera keeps its vertical field of view; a different aspect ratio widens or narrows the shot.
+export function renderStill(renderer, scene, camera, { width, height, transparent = false, bloom = 0 }) {
+  const size = v => THREE.MathUtils.clamp(Math.round(v), 1, MAX_IMAGE_SIZE);
+  const w = size(width);
+  const h = size(height);
+  const tile = Math.min(MAX_TILE, renderer.capabilities.maxTextureSize, Math.max(w, h));
+  const overlap = bloom > 0 && (w > tile || h > tile) ? BLOOM_OVERLAP : 0;
+  const step = tile - overlap * 2;
+
+  const shot = stillCamera(camera, w, h);
+  const composer = new EffectComposer(
+    renderer,
+    new THREE.WebGLRenderTarget(tile, tile, { type: THREE.HalfFloatType, samples: 4 })
+  );
+  composer.renderToScreen = false;
+  composer.setPixelRatio(1);
+  composer.addPass(new RenderPass(scene, shot));
+  const bloomPass = bloom > 0 ? new UnrealBloomPass(new THREE.Vector2(tile, tile), bloom, 0.4, 0.9) : null;
+  if (bloomPass) composer.addPass(bloomPass);
+  // Tone mapping and sRGB conversion land in an 8-bit target, which is what can be read back.
+  const outputPass = new OutputPass();
+  const output = new THREE.WebGLRenderTarget(tile, tile);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const previousTarget = renderer.getRenderTarget();
+  const background = scene.background;
+  const clearAlpha = renderer.getClearAlpha();
+  if (transparent) {
+    scene.background = null;
+    renderer.setClearAlpha(0);
+  }
+  try {
+    for (let y = 0; y < h; y += step) {
+      for (let x = 0; x < w; x += step) {
+        const x0 = Math.max(0, x - overlap);
+        const y0 = Math.max(0, y - overlap);
+        const tw = Math.min(w, x + step + overlap) - x0;
+        const th = Math.min(h, y + step + overlap) - y0;
+        composer.setSize(tw, th);
+        output.setSize(tw, th);
+        shot.setViewOffset(w, h, x0, y0, tw, th);
+        composer.render();
+        outputPass.render(renderer, output, composer.readBuffer);
+        const pixels = new Uint8Array(tw * th * 4);
+        renderer.readRenderTargetPixels(output, 0, 0, tw, th, pixels);
+        const cw = Math.min(step, w - x);
+        const ch = Math.min(step, h - y);
+        ctx.putImageData(cropTile(ctx, pixels, tw, th, x - x0, y - y0, cw, ch, transparent), x, y);
+      }
+    }
+  } finally {
+    scene.background = background;
+    renderer.setClearAlpha(clearAlpha);
+    renderer.setRenderTarget(previousTarget);
+    if (bloomPass) bloomPass.dispose();
+    outputPass.dispose();
+    output.dispose();
+    composer.dispose();
+  }
+  return canvas;
+}
+
+// Copy of the viewport camera framed for a w x h image: same vertical field of view, the image's own
+// aspect ratio, so pixels stay square.
+export function stillCamera(camera, w, h) {
+  const shot = camera.clone();
+  shot.aspect = w / h;
+  shot.clearViewOffset();
+  shot.updateProjectionMatrix();
+  shot.updateMatrixWorld();
+  return shot;
+}
+
+// Cuts the cw x ch block at (cx, cy) (from the top left) out of a tile read back bottom row first.
+// Edge pixels come back premultiplied by their coverage; transparent images are un-premultiplied.
+function cropTile(ctx, pixels, tw, th, cx, cy, cw, ch, transparent) {
+  const image = ctx.createImageData(cw, ch);
+  const out = image.data;
+  for (let row = 0; row < ch; row++) {
+    const src = ((th - 1 - (cy + row)) * tw + cx) * 4;
+    out.set(pixels.subarray(src, src + cw * 4), row * cw * 4);
+  }
+  if (transparent) {
+    for (let i = 0; i < out.length; i += 4) {
+      const a = out[i + 3];
+      if (a === 0 || a === 255) continue;
+      for (let c = 0; c < 3; c++) out[i + c] = Math.min(255, Math.round((out[i + c] * 255) / a));
+    }
+  }
+  return image;
+}
+
+export async function canvasToPNG(canvas) {
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error("PNG encoding failed"))), "image/png")
+  );
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Zip of numbered PNG frames (turntable_0001.png, ...) through one full turn. `turn(angle)` poses
+// the scene for a frame, angle in radians from the first one, and returns a function undoing it;
+// the pose only lasts while that frame renders, so the viewport never shows it.
+export async function renderTurntable(renderer, scene, camera, { frames, turn, onFrame, ...options }) {
+  const count = Math.max(1, Math.round(frames));
+  const digits = Math.max(4, String(count).length);
+  const files = {};
+  for (let k = 0; k < count; k++) {
+    const undo = turn((k / count) * Math.PI * 2);
+    let canvas;
+    try {
+      canvas = renderStill(renderer, scene, camera, options);
+    } finally {
+      undo();
+    }
+    // PNG data is already compressed; store it.
+    files[`turntable_${String(k + 1).padStart(digits, "0")}.png`] = [await canvasToPNG(canvas), { level: 0 }];
+    if (onFrame) onFrame(k + 1, count);
+  }
+  return zipSync(files);
+}
@@ -0,0 +1,443 @@
+import * as THREE from "three";
+import { STLExporter } from "three/addons/exporters/STLExporter.js";
+import { OBJExporter } from "three/addons/exporters/OBJExporter.js";
+import { towerDimensions, towerLayers, plinthCourses, profileToShape } from "./buildTower.js";
+import { closedLoop } from "./profileMorph.js";
+
+// Print export: one gopuram rebuilt as a single closed, manifold solid.
+// The tower is described as a vertical stack of levels, each an extruded footprint contour.
+// Stacking them contiguously (no noise offsets) and joining consecutive levels with flat
+// ledges gives a watertight shell with every edge shared by exactly two triangles.
+// Consecutive footprints usually nest, making each ledge a ring; morphed keyframe footprints can
+// cross, and then the ledge is cut from the regions the two outlines divide the plane into.
+
+const CORNICE_H = 3; // matches corniceH in addCornice
+const CORNICE_SCALE = 1.14;
+const STRIPE_H = 2.2; // matches stripeH in addStripes
+const STRIPE_RELIEF = 1.0;
+const EPS = 1e-6;
+const SNAP = 1e-5; // points closer than this to a vertex are that vertex (buildSolid keys to 5 decimals)
+
+export const printDefaults = {
+  targetHeightMm: 150,
+  // "drop" removes planar decorations, "thicken" turns the tier stripes into raised bands.
+  decorations: "drop",
+  cornices: true
+};
+
+function cleanContour(points) {
+  const pts = closedLoop(points, EPS).map(p => new THREE.Vector2(p.x, p.y));
+  if (THREE.ShapeUtils.isClockWise(pts)) pts.reverse();
+  return pts;
+}
+
+function rectContour(w, d) {
+  return cleanContour([
+    { x: -w / 2, y: -d / 2 },
+    { x: w / 2, y: -d / 2 },
+    { x: w / 2, y: d / 2 },
+    { x: -w / 2, y: d / 2 }
+  ]);
+}
+
+function profileContour(profilePoints, w, d, inset = 0.02) {
+  return cleanContour(profileToShape(profilePoints, w, d, 4, inset).getPoints());
+}
+
+function sameContour(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((p, i) => Math.abs(p.x - b[i].x) < EPS && Math.abs(p.y - b[i].y) < EPS);
+}
+
+function area(contour) {
+  return Math.abs(THREE.ShapeUtils.area(contour));
+}
+
+const pointKey = p => `${p.x.toFixed(5)},${p.y.toFixed(5)}`;
+const cross = (ax, ay, bx, by) => ax * by - ay * bx;
+
+function pointInContour(p, contour) {
+  let inside = false;
+  for (let i = 0, j = contour.length - 1; i < contour.length; j = i++) {
+    const a = contour[i];
+    const b = contour[j];
+    if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Where contours a and b cross or touch: for each edge of either one, the points of the other
+// lying on it as { t, p, key } ordered from the edge start. A crossing is one point object shared by
+// both lists. `touching` is false when the outlines never meet, i.e. they nest or are disjoint.
+function contourSplits(a, b) {
+  const splitsA = a.map(() => []);
+  const splitsB = b.map(() => []);
+  let touching = false;
+  const add = (splits, contour, edge, p) => {
+    const s = contour[edge];
+    const e = contour[(edge + 1) % contour.length];
+    const key = pointKey(p);
+    if (key === pointKey(s) || key === pointKey(e) || splits[edge].some(q => q.key === key)) return;
+    const t = ((p.x - s.x) * (e.x - s.x) + (p.y - s.y) * (e.y - s.y)) / ((e.x - s.x) ** 2 + (e.y - s.y) ** 2);
+    splits[edge].push({ t, p, key });
+  };
+  const onEdge = (p, s, e) => {
+    const dx = e.x - s.x;
+    const dy = e.y - s.y;
+    const len = Math.hypot(dx, dy);
+    const t = ((p.x - s.x) * dx + (p.y - s.y) * dy) / (len * len);
+    return t > -SNAP / len && t < 1 + SNAP / len && Math.abs(cross(dx, dy, p.x - s.x, p.y - s.y)) <= SNAP * len;
+  };
+  a.forEach((p, i) => {
+    const q = a[(i + 1) % a.length];
+    const d1x = q.x - p.x;
+    const d1y = q.y - p.y;
+    const len1 = Math.hypot(d1x, d1y);
+    b.forEach((r, j) => {
+      const s = b[(j + 1) % b.length];
+      const d2x = s.x - r.x;
+      const d2y = s.y - r.y;
+      const len2 = Math.hypot(d2x, d2y);
+      const denom = cross(d1x, d1y, d2x, d2y);
+      if (Math.abs(denom) > 1e-9 * len1 * len2) {
+        const t = cross(r.x - p.x, r.y - p.y, d2x, d2y) / denom;
+        const u = cross(r.x - p.x, r.y - p.y, d1x, d1y) / denom;
+        const tt = SNAP / len1;
+        const tu = SNAP / len2;
+        if (t < -tt || t > 1 + tt || u < -tu || u > 1 + tu) return;
+        touching = true;
+        const x = (t <= tt ? p : t >= 1 - tt ? q : null) || (u <= tu ? r : u >= 1 - tu ? s : null) ||
+          new THREE.Vector2(p.x + d1x * t, p.y + d1y * t);
+        add(splitsA, a, i, x);
+        add(splitsB, b, j, x);
+        return;
+      }
+      // Parallel edges only meet where they overlap: split each at the other's ends on it.
+      [r, s].forEach(v => {
+        if (!onEdge(v, p, q)) return;
+        touching = true;
+        add(splitsA, a, i, v);
+      });
+      [p, q].forEach(v => {
+        if (!onEdge(v, r, s)) return;
+        touching = true;
+        add(splitsB, b, j, v);
+      });
+    });
+  });
+  splitsA.concat(splitsB).forEach(list => list.sort((m, n) => m.t - n.t));
+  return { splitsA, splitsB, touching };
+}
+
+const refine = (contour, splits) => contour.flatMap((p, k) => [p, ...splits[k].map(s => s.p)]);
+
+// Bounded faces, counter-clockwise, of the planar graph the given closed outlines make together.
+function arrangementFaces(rings) {
+  const nodes = new Map();
+  const node = p => {
+    const key = pointKey(p);
+    if (!nodes.has(key)) nodes.set(key, { p, next: new Set() });
+    return nodes.get(key);
+  };
+  rings.forEach(ring =>
+    ring.forEach((p, i) => {
+      const a = node(p);
+      const b = node(ring[(i + 1) % ring.length]);
+      if (a === b) return;
+      a.next.add(pointKey(b.p));
+      b.next.add(pointKey(a.p));
+    })
+  );
+  // Neighbours in counter-clockwise order around each node.
+  nodes.forEach(n => {
+    const angle = key => Math.atan2(nodes.get(key).p.y - n.p.y, nodes.get(key).p.x - n.p.x);
+    n.around = [...n.next].sort((x, y) => angle(x) - angle(y));
+  });
+  // Walking each edge with its face on the left: at every node take the next edge clockwise from
+  // the one arrived along.
+  const walked = new Set();
+  const faces = [];
+  nodes.forEach((n, start) => {
+    n.around.forEach(first => {
+      const face = [];
+      let u = start;
+      let v = first;
+      while (!walked.has(`${u}>${v}`)) {
+        walked.add(`${u}>${v}`);
+        face.push(nodes.get(u).p);
+        const around = nodes.get(v).around;
+        const w = around[(around.indexOf(u) + around.length - 1) % around.length];
+        u = v;
+        v = w;
+      }
+      // The unbounded face comes out clockwise.
+      if (face.length >= 3 && THREE.ShapeUtils.area(face) > SNAP * SNAP) faces.push(face);
+    });
+  });
+  return faces;
+}
+
+// triangulateShape drops vertices lying on a straight run of the outline, but walls are split at
+// those points; a triangle spanning one is fanned out so the cap shares every split wall edge.
+function triangulate(outer, holes) {
+  const next = [];
+  let start = 0;
+  [outer, ...holes].forEach(ring => {
+    ring.forEach((_, i) => (next[start + i] = start + ((i + 1) % ring.length)));
+    start += ring.length;
+  });
+  const tris = THREE.ShapeUtils.triangulateShape(outer.slice(), holes.map(h => h.slice()));
+  const used = new Set(tris.flat());
+  const skipped = (a, b) => {
+    const run = [];
+    for (let k = next[a]; k !== b; k = next[k]) {
+      if (used.has(k)) return null;
+      run.push(k);
+    }
+    return run;
+  };
+  const out = [];
+  const expand = tri => {
+    for (let e = 0; e < 3; e++) {
+      const u = tri[e];
+      const v = tri[(e + 1) % 3];
+      const w = tri[(e + 2) % 3];
+      if (next[u] === v || next[v] === u) continue;
+      const run = skipped(u, v) || (skipped(v, u) || []).reverse();
+      if (!run.length) continue;
+      const chain = [u, ...run, v];
+      for (let k = 0; k < chain.length - 1; k++) expand([chain[k], chain[k + 1], w]);
+      return;
+    }
+    out.push(tri);
+  };
+  tris.forEach(expand);
+  return out;
+}
+
+// Vertical stack of { contour, h } levels from the ground up, in model units.
+export function printLevels(state, options = {}) {
+  const opts = { ...printDefaults, ...options };
+  const { baseW, baseD, baseH, plinthH } = towerDimensions(state);
+  const levels = [];
+  const push = (contour, h) => {
+    if (h > EPS && contour.length >= 3) levels.push({ contour, h });
+  };
+
+  plinthCourses(baseW, baseD, plinthH).forEach(c => push(rectContour(c.w, c.d), c.h));
+  push(profileContour(state.profilePoints, baseW, baseD), baseH);
+
+  for (const { w, d, h, profile } of towerLayers(state, "high")) {
+    let remaining = h;
+    if (opts.cornices) {
+      const mainH = Math.min(CORNICE_H * 0.6, remaining * 0.4);
+      const secondH = Math.min(CORNICE_H * 0.45, remaining * 0.3);
+      push(profileContour(profile, w * CORNICE_SCALE, d * CORNICE_SCALE, 0), mainH);
+      push(profileContour(profile, w * CORNICE_SCALE * 0.96, d * CORNICE_SCALE * 0.96, 0), secondH);
+      remaining -= mainH + secondH;
+    }
+    const body = profileContour(profile, w, d);
+    if (opts.decorations === "thicken" && remaining > STRIPE_H * 4) {
+      const band = profileContour(profile, w + STRIPE_RELIEF * 2, d + STRIPE_RELIEF * 2);
+      const bands = 3;
+      const gap = (remaining - bands * STRIPE_H) / (bands + 1);
+      for (let k = 0; k < bands; k++) {
+        push(body, gap);
+        push(band, STRIPE_H);
+      }
+      push(body, gap);
+    } else {
+      push(body, remaining);
+    }
+  }
+  return levels;
+}
+
+function buildSolid(levels) {
+  const positions = [];
+  const indices = [];
+  const lookup = new Map();
+  const vertex = (p, y) => {
+    // Map shape space to the tower frame the same way the extrusions do (rotateX(-PI/2)).
+    const x = p.x;
+    const z = -p.y;
+    const key = `${x.toFixed(5)},${y.toFixed(5)},${z.toFixed(5)}`;
+    if (lookup.has(key)) return lookup.get(key);
+    const idx = positions.length / 3;
+    positions.push(x, y, z);
+    lookup.set(key, idx);
+    return idx;
+  };
+  // Triangles are wound counter-clockwise in shape space for upward faces.
+  const cap = (outer, holes, y, up) => {
+    const all = outer.concat(...holes);
+    triangulate(outer, holes).forEach(([a, b, c]) => {
+      const ccw = THREE.ShapeUtils.area([all[a], all[b], all[c]]) > 0;
+      const [i, j, k] = ccw === up ? [a, b, c] : [a, c, b];
+      indices.push(vertex(all[i], y), vertex(all[j], y), vertex(all[k], y));
+    });
+  };
+  // Side of one contour edge from y0 to y1; its bottom and top may carry points where the ledges
+  // below and above were cut.
+  const wall = (a, b, bottom, top, y0, y1) => {
+    if (!bottom.length && !top.length) {
+      const a0 = vertex(a, y0);
+      const b0 = vertex(b, y0);
+      const b1 = vertex(b, y1);
+      const a1 = vertex(a, y1);
+      indices.push(a0, b0, b1, a0, b1, a1);
+      return;
+    }
+    const lo = [{ t: 0, p: a }, ...bottom, { t: 1, p: b }];
+    const hi = [{ t: 0, p: a }, ...top, { t: 1, p: b }];
+    let i = 0;
+    let j = 0;
+    while (i < lo.length - 1 || j < hi.length - 1) {
+      if (j === hi.length - 1 || (i < lo.length - 1 && lo[i + 1].t <= hi[j + 1].t)) {
+        indices.push(vertex(lo[i].p, y0), vertex(lo[i + 1].p, y0), vertex(hi[j].p, y1));
+        i++;
+      } else {
+        indices.push(vertex(lo[i].p, y0), vertex(hi[j + 1].p, y1), vertex(hi[j].p, y1));
+        j++;
+      }
+    }
+  };
+  // Ledge between a level and the next one up: faces up where only the lower footprint reaches,
+  // down where only the upper one does.
+  const ledge = (lower, upper, y, { splitsA, splitsB, touching }) => {
+    if (!touching) {
+      if (pointInContour(upper[0], lower)) cap(lower, [upper], y, true);
+      else if (pointInContour(lower[0], upper)) cap(upper, [lower], y, false);
+      else {
+        cap(lower, [], y, true);
+        cap(upper, [], y, false);
+      }
+      return;
+    }
+    arrangementFaces([refine(lower, splitsA), refine(upper, splitsB)]).forEach(face => {
+      // Any interior point tells which footprints cover the face; the largest triangle's centre is one.
+      const centre = triangulate(face, [])
+        .map(tri => tri.map(k => face[k]))
+        .reduce((best, tri) => (area(tri) > area(best) ? tri : best))
+        .reduce((c, p) => c.addScaledVector(p, 1 / 3), new THREE.Vector2());
+      const inLower = pointInContour(centre, lower);
+      if (inLower !== pointInContour(centre, upper)) cap(face, [], y, inLower);
+    });
+  };
+
+  const none = levels.map(level => level.contour.map(() => []));
+  const bottoms = none.slice();
+  const tops = none.slice();
+  const splits = levels.map((level, idx) => {
+    const next = levels[idx + 1];
+    if (!next || sameContour(level.contour, next.contour)) return null;
+    const split = contourSplits(level.contour, next.contour);
+    tops[idx] = split.splitsA;
+    bottoms[idx + 1] = split.splitsB;
+    return split;
+  });
+
+  let y = 0;
+  cap(levels[0].contour, [], y, false);
+  levels.forEach((level, idx) => {
+    const { contour, h } = level;
+    const y1 = y + h;
+    for (let k = 0; k < contour.length; k++) {
+      wall(contour[k], contour[(k + 1) % contour.length], bottoms[idx][k], tops[idx][k], y, y1);
+    }
+    if (idx === levels.length - 1) cap(contour, [], y1, true);
+    else if (splits[idx]) ledge(contour, levels[idx + 1].contour, y1, splits[idx]);
+    y = y1;
+  });
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setIndex(indices);
+  geo.computeVertexNormals();
+  return { geometry: geo, height: y };
+}
+
+// Returns a single mesh scaled to millimetres, base centred on the origin.
+export function buildPrintMesh(state, options = {}) {
+  const opts = { ...printDefaults, ...options };
+  const { geometry, height } = buildSolid(printLevels(state, opts));
+  const mm = opts.targetHeightMm / Math.max(EPS, height);
+  geometry.scale(mm, mm, mm);
+  geometry.computeBoundingBox();
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: 0xcccccc }));
+  mesh.name = "GopuramPrint";
+  mesh.userData.scaleToMm = mm;
+  return mesh;
+}
+
+// Edge audit: a closed manifold has every edge used by exactly two triangles.
+export function checkManifold(geometry) {
+  const index = geometry.index.array;
+  const edges = new Map();
+  for (let i = 0; i < index.length; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = index[i + e];
+      const b = index[i + ((e + 1) % 3)];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+  let boundary = 0;
+  let nonManifold = 0;
+  edges.forEach(count => {
+    if (count === 1) boundary++;
+    else if (count > 2) nonManifold++;
+  });
+  return { closed: boundary === 0 && nonManifold === 0, boundaryEdges: boundary, nonManifoldEdges: nonManifold, triangles: index.length / 3 };
+}
+
+// Overlap audit for the flat faces: triangles in one horizontal plane must not overlap. A cap cut
+// from a self-intersecting outline still uses every edge twice, so the edge audit cannot see it.
+export function checkCaps(geometry, tolerance = 1e-5) {
+  const pos = geometry.attributes.position;
+  const index = geometry.index.array;
+  const planes = new Map();
+  for (let i = 0; i < index.length; i += 3) {
+    const tri = [index[i], index[i + 1], index[i + 2]].map(k => new THREE.Vector2(pos.getX(k), pos.getZ(k)));
+    const y = pos.getY(index[i]);
+    if (Math.abs(pos.getY(index[i + 1]) - y) > tolerance || Math.abs(pos.getY(index[i + 2]) - y) > tolerance) continue;
+    const key = y.toFixed(4);
+    if (!planes.has(key)) planes.set(key, []);
+    planes.get(key).push(tri);
+  }
+  // Separating axis test over the six edge normals; triangles that only touch are apart.
+  const apart = (s, t) =>
+    [s, t].some(tri =>
+      tri.some((p, e) => {
+        const q = tri[(e + 1) % 3];
+        const nx = q.y - p.y;
+        const ny = p.x - q.x;
+        const len = Math.hypot(nx, ny);
+        if (len < tolerance) return false;
+        const span = pts => pts.map(v => (v.x * nx + v.y * ny) / len);
+        const a = span(s);
+        const b = span(t);
+        return Math.max(...a) <= Math.min(...b) + tolerance || Math.max(...b) <= Math.min(...a) + tolerance;
+      })
+    );
+  let overlaps = 0;
+  planes.forEach(tris => {
+    const boxes = tris.map(tri => new THREE.Box2().setFromPoints(tri));
+    for (let i = 0; i < tris.length; i++) {
+      for (let j = i + 1; j < tris.length; j++) {
+        if (boxes[i].intersectsBox(boxes[j]) && !apart(tris[i], tris[j])) overlaps++;
+      }
+    }
+  });
+  return { overlappingTriangles: overlaps, planes: planes.size };
+}
+
+export function exportPrintSTL(mesh) {
+  // Binary STL; the exporter returns a DataView over the output buffer.
+  const view = new STLExporter().parse(mesh, { binary: true });
+  return view.buffer;
+}
+
+export function exportPrintOBJ(mesh) {
+  return new OBJExporter().parse(mesh);
+}
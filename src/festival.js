@@ -0,0 +1,127 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+
+// Festival illumination: shows the hidden "Lamps" strings of every built part (lamps.js), colours
+// them per instance for steady, colour-cycling or chasing patterns, adds up to a budget of real
+// point lights spread over the strings, and renders through a bloom pass. Lamp colours go above 1
+// so the bloom threshold picks out the lamps and leaves the night-lit stone alone.
+
+export const FESTIVAL_PATTERNS = ["steady", "cycle", "chase"];
+// Lamp positions sampled per string when spreading the point lights.
+const CANDIDATES_PER_STRING = 24;
+const CHASE_GROUP = 4;
+
+export function createFestival(renderer) {
+  const options = { pattern: "chase", speed: 1, color: "#ffb347", bloom: 1.2, lights: 6 };
+  let enabled = false;
+  let lamps = [];
+  let lights = []; // { light, local }: positions in the complex's frame, which auto-rotate turns
+  let composer = null;
+  let bloomPass = null;
+  const base = new THREE.Color();
+  const color = new THREE.Color();
+
+  // Shows or hides the lamp strings under `root`; layers hidden by the user stay hidden.
+  function showLamps(root, on) {
+    enabled = on;
+    lamps = [];
+    if (!root) return;
+    root.traverse(obj => {
+      if (obj.name !== "Lamps" || !obj.isInstancedMesh) return;
+      obj.visible = on && !obj.userData.layerHidden;
+      if (obj.visible) lamps.push(obj);
+    });
+  }
+
+  // Spreads `options.lights` point lights over the lamp strings by farthest-point sampling.
+  function placeLights(rig, root, range) {
+    lights = [];
+    if (!root || !lamps.length || options.lights <= 0) return;
+    root.updateMatrixWorld(true);
+    const toRoot = root.matrixWorld.clone().invert();
+    const matrix = new THREE.Matrix4();
+    const candidates = [];
+    lamps.forEach(mesh => {
+      const stride = Math.max(1, Math.floor(mesh.count / CANDIDATES_PER_STRING));
+      for (let i = 0; i < mesh.count; i += stride) {
+        mesh.getMatrixAt(i, matrix);
+        const p = new THREE.Vector3().setFromMatrixPosition(matrix).applyMatrix4(mesh.matrixWorld).applyMatrix4(toRoot);
+        candidates.push(p);
+      }
+    });
+    const chosen = [candidates[0]];
+    const nearest = candidates.map(p => p.distanceToSquared(chosen[0]));
+    while (chosen.length < Math.min(options.lights, candidates.length)) {
+      let best = 0;
+      nearest.forEach((d, i) => {
+        if (d > nearest[best]) best = i;
+      });
+      chosen.push(candidates[best]);
+      candidates.forEach((p, i) => (nearest[i] = Math.min(nearest[i], p.distanceToSquared(candidates[best]))));
+    }
+    base.set(options.color);
+    chosen.forEach(local => {
+      const light = new THREE.PointLight(base, range * 0.6, range, 1);
+      rig.add(light);
+      lights.push({ light, local });
+    });
+  }
+
+  function lampColor(i, time, target) {
+    const t = time * options.speed;
+    if (options.pattern === "cycle") return target.setHSL((i / 48 + t * 0.1) % 1, 1, 0.5).multiplyScalar(2.5);
+    if (options.pattern === "chase") {
+      const lit = (i + Math.floor(t * 8)) % CHASE_GROUP === 0;
+      return target.copy(base).multiplyScalar(lit ? 3 : 0.35);
+    }
+    return target.copy(base).multiplyScalar(2);
+  }
+
+  return {
+    options,
+    patterns: FESTIVAL_PATTERNS,
+    get enabled() {
+      return enabled;
+    },
+    showLamps,
+    placeLights,
+    // Per frame: lamp colours, and light positions following the complex as it turns.
+    animate(time, root) {
+      if (!lamps.length) return;
+      base.set(options.color);
+      lamps.forEach(mesh => {
+        for (let i = 0; i < mesh.count; i++) mesh.setColorAt(i, lampColor(i, time, color));
+        mesh.instanceColor.needsUpdate = true;
+      });
+      if (!root) return;
+      lights.forEach(({ light, local }, k) => {
+        light.position.copy(local).applyMatrix4(root.matrixWorld);
+        if (options.pattern === "cycle") lampColor(k * 12, time, light.color).multiplyScalar(0.4);
+      });
+    },
+    // Renders through the bloom composer; renderer.info then covers every pass of the frame.
+    render(scene, camera) {
+      if (!composer) {
+        const size = renderer.getSize(new THREE.Vector2());
+        composer = new EffectComposer(renderer);
+        composer.addPass(new RenderPass(scene, camera));
+        bloomPass = new UnrealBloomPass(size, options.bloom, 0.4, 0.9);
+        composer.addPass(bloomPass);
+        composer.addPass(new OutputPass());
+      }
+      bloomPass.strength = options.bloom;
+      renderer.info.autoReset = false;
+      renderer.info.reset();
+      composer.render();
+      renderer.info.autoReset = true;
+    },
+    setSize(width, height) {
+      if (!composer) return;
+      composer.setPixelRatio(renderer.getPixelRatio());
+      composer.setSize(width, height);
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// Undo/redo stack of state snapshots. Snapshots are JSON copies, so restoring never aliases live state.
+export function createHistory(initial, { limit = 100 } = {}) {
+  let entries = [JSON.stringify(initial)];
+  let index = 0;
+
+  return {
+    // Push the state if it differs from the current entry; drops any redo branch.
+    commit(state) {
+      const snap = JSON.stringify(state);
+      if (snap === entries[index]) return false;
+      entries = entries.slice(0, index + 1);
+      entries.push(snap);
+      if (entries.length > limit) entries.shift();
+      index = entries.length - 1;
+      return true;
+    },
+    undo() {
+      if (index === 0) return null;
+      index--;
+      return JSON.parse(entries[index]);
+    },
+    redo() {
+      if (index >= entries.length - 1) return null;
+      index++;
+      return JSON.parse(entries[index]);
+    },
+    canUndo: () => index > 0,
+    canRedo: () => index < entries.length - 1,
+    reset(state) {
+      entries = [JSON.stringify(state)];
+      index = 0;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+import * as THREE from "three";
+import { materials } from "./materials.js";
+import { closedLoop } from "./profileMorph.js";
+
+// Festival lamp strings. Builders trace closed outlines (cornice edges, wall tops) into one
+// collector per part, which becomes a single InstancedMesh named "Lamps". Lamps are numbered along
+// each string so colour cycles and chases can run by instance index. The mesh is built hidden; the
+// viewer's festival mode shows and animates it (festival.js).
+
+export const LAMP_RADIUS = 1.6;
+
+export function createLampString(spacing) {
+  const points = [];
+  return {
+    // Closed outline of THREE.Vector3 corners; one lamp every `spacing` along it. Retraced and
+    // repeated corners are dropped first so no stretch of the outline gets two strings.
+    addLoop(corners) {
+      const outline = closedLoop(corners, 1e-6);
+      const n = outline.length;
+      const lengths = outline.map((p, i) => p.distanceTo(outline[(i + 1) % n]));
+      const perimeter = lengths.reduce((a, b) => a + b, 0);
+      const count = Math.floor(perimeter / spacing);
+      if (count < 3) return;
+      const step = perimeter / count;
+      let edge = 0;
+      let along = 0;
+      for (let k = 0; k < count; k++) {
+        const target = k * step;
+        while (edge < n - 1 && along + lengths[edge] < target) along += lengths[edge++];
+        const t = lengths[edge] ? (target - along) / lengths[edge] : 0;
+        points.push(outline[edge].clone().lerp(outline[(edge + 1) % n], t));
+      }
+    },
+    build() {
+      if (!points.length) return null;
+      const mesh = new THREE.InstancedMesh(new THREE.IcosahedronGeometry(LAMP_RADIUS, 0), materials.lamp(), points.length);
+      mesh.name = "Lamps";
+      const matrix = new THREE.Matrix4();
+      points.forEach((p, i) => mesh.setMatrixAt(i, matrix.makeTranslation(p.x, p.y, p.z)));
+      mesh.visible = false;
+      return mesh;
+    }
+  };
+}
@@ -1,25 +1,253 @@
 import * as THREE from "three";
 import { GUI } from "lil-gui";
-import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
+import { createRenderer, createCamera, createControls } from "./viewer.js";
+import { buildTempleComplex, complexParts, updateComplexDetail, computeDetailSignature } from "./buildTemple.js";
+import { createPartBuilder } from "./partBuilder.js";
+import { partAt, hideParts } from "./mergeStatic.js";
+import { createPerfOverlay } from "./perfOverlay.js";
+import { retain, release, resourceReport } from "./resources.js";
+import { cacheSizes, groundMaterial } from "./materials.js";
+import { sunPosition, sunDirection, solarDate, sunlight } from "./sun.js";
+import { createEnvironment, ENVIRONMENT_SOURCES } from "./environment.js";
+import { createFestival, FESTIVAL_PATTERNS } from "./festival.js";
+import { createCameraPath, MAX_BOOKMARKS, MAX_PATH_KEYS, MAX_PATH_TIME } from "./cameraPath.js";
+import { createTimelineEditor } from "./timelineEditor.js";
+import { exportGLB } from "./exportGLB.js";
+import { buildPrintMesh, checkManifold, checkCaps, exportPrintSTL, exportPrintOBJ, printDefaults } from "./exportPrint.js";
+import { downloadBlob } from "./download.js";
+import { renderStill, renderTurntable, canvasToPNG, MAX_IMAGE_SIZE } from "./exportImage.js";
 import {
-  buildTower,
-  createRenderer,
-  createCamera,
-  createControls
-} from "./buildTower.js";
-import { defaultState, ranges, clampState, defaultProfile, cloneProfile } from "./state.js";
-
-const textureCache = new Map();
+  designToFile,
+  designFromFile,
+  encodeDesignHash,
+  decodeDesignHash,
+  listPresets,
+  savePreset,
+  loadPreset,
+  deletePreset
+} from "./presets.js";
+import { createHistory } from "./history.js";
+import { createProfileEditor } from "./profileEditor.js";
+import { parseProfileFile, profileToSvg, profileToDxf } from "./profileIO.js";
+import {
+  defaultState,
+  ranges,
+  clampState,
+  defaultProfile,
+  cloneProfile,
+  cloneTaper,
+  taperPresets,
+  CROWN_TYPES,
+  paletteSchemes,
+  COLOR_RULES,
+  MAX_PALETTE,
+  SCULPTURE_WEIGHT_MAX,
+  MAIN_AXES,
+  MAX_RINGS,
+  MANDAPA_ROOFS,
+  MAX_PROFILE_KEYFRAMES
+} from "./state.js";
+import { createTaperEditor } from "./taperEditor.js";
+
 const profileModel = {
   text: pointsToString(cloneProfile(defaultProfile)),
   reset() {
-    state.profilePoints = cloneProfile(defaultProfile);
-    profileModel.text = pointsToString(state.profilePoints);
-    if (profileTextarea) profileTextarea.value = profileModel.text;
-    updateProfilePlot(state.profilePoints);
+    setEditedPoints(cloneProfile(defaultProfile));
+    syncProfileUI();
+    scheduleRebuild();
+    recordHistory();
+  },
+  tolerance: 0.5,
+  importFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".svg,.dxf,image/svg+xml";
+    input.addEventListener("change", async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      try {
+        setEditedPoints(parseProfileFile(file.name, await file.text(), profileModel.tolerance));
+        syncProfileUI();
+        scheduleRebuild();
+        recordHistory();
+        if (overlay) overlay.textContent = `Imported ${editedPoints().length} profile points from ${file.name}`;
+      } catch (err) {
+        console.error(err);
+        if (overlay) overlay.textContent = `Profile import error: ${err.message}`;
+      }
+    });
+    input.click();
+  },
+  exportSvg() {
+    downloadBlob(profileToSvg(editedPoints()), "profile.svg", "image/svg+xml");
+  },
+  exportDxf() {
+    downloadBlob(profileToDxf(editedPoints()), "profile.dxf", "application/dxf");
+  }
+};
+// Which profile the editor shows: -1 is the base profile, otherwise an index into state.profileKeyframes.
+const keyframeModel = {
+  editing: -1,
+  height: 1,
+  add() {
+    const keys = state.profileKeyframes;
+    if (keys.length >= MAX_PROFILE_KEYFRAMES) return;
+    const t = keys.length ? Math.min(1, keys[keys.length - 1].t + 0.25) : 1;
+    const key = { t, points: cloneProfile(editedPoints()) };
+    keys.push(key);
+    keys.sort((a, b) => a.t - b.t);
+    keyframeModel.editing = keys.indexOf(key);
+    syncKeyframeUI();
+    scheduleRebuild();
+    recordHistory();
+  },
+  remove() {
+    if (keyframeModel.editing < 0) return;
+    state.profileKeyframes.splice(keyframeModel.editing, 1);
+    keyframeModel.editing = -1;
+    syncKeyframeUI();
     scheduleRebuild();
+    recordHistory();
   }
 };
+// Which taper curve the editor shows; presets apply to that curve.
+const taperModel = {
+  curve: "width",
+  preset: "straight"
+};
+const presetModel = {
+  name: "My design",
+  selected: "",
+  save() {
+    const name = presetModel.name.trim();
+    if (!name) return;
+    try {
+      savePreset(name, state, currentCamera(), views);
+    } catch (err) {
+      // localStorage is full (QuotaExceededError) or blocked.
+      console.error(err);
+      if (overlay) overlay.textContent = `Preset save error: ${err.message}`;
+      return;
+    }
+    presetModel.selected = name;
+    refreshPresetList();
+    if (overlay) overlay.textContent = `Saved preset "${name}"`;
+  },
+  remove() {
+    if (!presetModel.selected) return;
+    const name = presetModel.selected;
+    try {
+      deletePreset(name);
+    } catch (err) {
+      // Writing the shrunk library back can fail the same ways a save does.
+      console.error(err);
+      if (overlay) overlay.textContent = `Preset delete error: ${err.message}`;
+      return;
+    }
+    presetModel.selected = "";
+    refreshPresetList();
+    if (overlay) overlay.textContent = `Deleted preset "${name}"`;
+  },
+  saveFile() {
+    const name = presetModel.name.trim() || "design";
+    downloadBlob(designToFile(state, currentCamera(), views), `${name}.json`, "application/json");
+  },
+  loadFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      try {
+        applyDesign(designFromFile(await file.text()));
+        presetModel.name = file.name.replace(/\.json$/i, "");
+        syncControllers();
+      } catch (err) {
+        console.error(err);
+        if (overlay) overlay.textContent = `Preset load error: ${err.message}`;
+      }
+    });
+    input.click();
+  },
+  async copyLink() {
+    const hash = encodeDesignHash(state, currentCamera(), views);
+    history.replaceState(null, "", hash);
+    try {
+      await navigator.clipboard.writeText(location.href);
+      if (overlay) overlay.textContent = "Share link copied";
+    } catch {
+      if (overlay) overlay.textContent = "Share link is in the address bar";
+    }
+  }
+};
+// Camera bookmarks and the flythrough through them: saved with the design, outside the edit history.
+const views = { bookmarks: [], flythrough: { keys: [], loop: false } };
+const bookmarkModel = {
+  name: "View 1",
+  selected: "",
+  // Saving under an existing name moves that bookmark to the current view.
+  save() {
+    const name = bookmarkModel.name.trim();
+    if (!name) return;
+    const index = views.bookmarks.findIndex(b => b.name === name);
+    if (index < 0 && views.bookmarks.length >= MAX_BOOKMARKS) {
+      if (overlay) overlay.textContent = `At most ${MAX_BOOKMARKS} bookmarks`;
+      return;
+    }
+    const bookmark = bookmarkFromCamera(name);
+    if (index < 0) views.bookmarks.push(bookmark);
+    else views.bookmarks[index] = bookmark;
+    bookmarkModel.selected = name;
+    bookmarkModel.name = nextBookmarkName();
+    syncViewsUI();
+    if (overlay) overlay.textContent = `Saved bookmark "${name}"`;
+  },
+  remove() {
+    const name = bookmarkModel.selected;
+    if (!name) return;
+    views.bookmarks = views.bookmarks.filter(b => b.name !== name);
+    views.flythrough.keys = views.flythrough.keys.filter(k => k.bookmark !== name);
+    bookmarkModel.selected = "";
+    syncViewsUI();
+  }
+};
+// Flythrough playback and the path key the editor shows (an index into views.flythrough.keys).
+const flight = {
+  time: 0,
+  speed: 1,
+  playing: false,
+  editing: -1,
+  keyBookmark: "",
+  keyTime: 0,
+  toggle() {
+    if (flight.playing) stopFlight();
+    else playFlight();
+  },
+  rewind() {
+    stopFlight();
+    flight.time = cameraPath ? cameraPath.start : 0;
+    showFlightFrame();
+  },
+  addKey() {
+    const keys = views.flythrough.keys;
+    const bookmark = bookmarkModel.selected || (views.bookmarks[0] && views.bookmarks[0].name);
+    if (!bookmark || keys.length >= MAX_PATH_KEYS) return;
+    const time = keys.length ? Math.min(MAX_PATH_TIME, keys[keys.length - 1].time + 4) : 0;
+    const key = { bookmark, time };
+    keys.push(key);
+    keys.sort((a, b) => a.time - b.time);
+    flight.editing = keys.indexOf(key);
+    syncViewsUI();
+  },
+  removeKey() {
+    if (flight.editing < 0) return;
+    views.flythrough.keys.splice(flight.editing, 1);
+    flight.editing = -1;
+    syncViewsUI();
+  }
+};
+let cameraPath = null;
 const container = document.body;
 const renderer = createRenderer(container);
 renderer.setClearColor(0x1f2329, 1);
@@ -42,6 +270,8 @@ scene.background = new THREE.Color(0x2c2f36);
 
 const lightRig = new THREE.Group();
 scene.add(lightRig);
+const environment = createEnvironment(renderer, scene);
+const festival = createFestival(renderer);
 
 const ground = makeGround();
 scene.add(ground);
@@ -52,32 +282,91 @@ scene.add(axes);
 
 const overlay = document.getElementById("overlay");
 if (overlay) overlay.textContent = "Scene initializing...";
+const perfOverlay = createPerfOverlay(document.getElementById("perf") || document.createElement("div"));
 
 const autoRotate = { enabled: true, speed: 0.18 };
+const printModel = { ...printDefaults };
+// Offscreen image exports: still size, turntable frame size and frame count.
+const imageModel = {
+  width: 3840,
+  height: 2160,
+  transparent: false,
+  frames: 36,
+  frameWidth: 1280,
+  frameHeight: 720
+};
+let exportingImage = false;
 const clock = new THREE.Clock();
 
-let state = { ...defaultState, profilePoints: cloneProfile(defaultProfile) };
+let state = {
+  ...defaultState,
+  profilePoints: cloneProfile(defaultProfile),
+  profileKeyframes: [],
+  taperWidth: cloneTaper(),
+  taperDepth: cloneTaper(),
+  palette: defaultState.palette.slice()
+};
 let temple = null;
+// Design waiting for its parts: { state, camPos, parts, fit, started, missing }; the current scene
+// stays up meanwhile.
+let pendingBuild = null;
+// Timing of the last finished rebuild, for the perf overlay: { ms, assembleMs, built, parts }.
+let lastRebuild = null;
+// Layers hidden through setLayerVisible; reapplied to rebuilt scenes and newly filled LOD levels.
+const hiddenLayers = new Map();
+const partBuilder = createPartBuilder({
+  onReady: partReady,
+  // A design missing a part can never be assembled; drop it so LOD updates and later edits go on.
+  onError: (err, key) => {
+    console.error(err);
+    if (pendingBuild && pendingBuild.parts.some(p => p.key === key)) pendingBuild = null;
+    if (overlay) overlay.textContent = `Build error: ${err.message}`;
+  }
+});
 let hasFittedView = false;
 let lastBounds = null;
 const sceneMode = { mode: "Day" };
+// Sun mode: site location, calendar date and local clock time (hours) with its UTC offset.
+const solar = { latitude: 9.925, longitude: 78.12, date: new Date().toISOString().slice(0, 10), hour: 9, utcOffset: 5.5 };
+// Last date that parsed, so a half-typed one leaves the sun where it was.
+let solarDay = solar.date;
 let rebuildTimer = null;
-let lastDetailKey = null;
 let lastCamCheck = { pos: new THREE.Vector3(), time: 0 };
-let profileCanvas = null;
+let profileEditor = null;
+let taperEditor = null;
+let timelineEditor = null;
 let profileTextarea = null;
 const LOD_INTERVAL = 200; // ms refresh for LOD checks
 setInterval(() => maybeUpdateDetail(true), LOD_INTERVAL);
-rebuild({ fit: true, camPos: camera.position });
-loadHDR();
+const linkedDesign = readDesignHash();
+if (linkedDesign) {
+  Object.assign(state, linkedDesign.state);
+  profileModel.text = pointsToString(state.profilePoints);
+  views.bookmarks = linkedDesign.bookmarks;
+  views.flythrough = linkedDesign.flythrough;
+}
+// Parts build asynchronously, so a linked camera is applied up front instead of after a fit.
+if (linkedDesign && linkedDesign.camera) {
+  applyCamera(linkedDesign.camera);
+  hasFittedView = true;
+  rebuild({ fit: false, camPos: camera.position });
+} else {
+  rebuild({ fit: true, camPos: camera.position });
+}
+const editHistory = createHistory(state);
 
 const gui = new GUI();
+// These ranges get their own folders below.
+const folderKeys = new Set(["lodNear", "lodFar", "shalaRise", "shalaKalashas", "shrineColorIndex", "sculptureVariety",
+  "complexLength", "complexWidth", "ringHeightStep", "mandapaCount", "mandapaColumns", "mandapaRows", "mandapaBay",
+  "mandapaHeight", "flagstaffHeight", "tankSize", "tankSteps", "lampSpacing"]);
 for (const [key, cfg] of Object.entries(ranges)) {
-  if (key === "lodNear" || key === "lodFar") continue;
+  if (folderKeys.has(key)) continue;
   gui
     .add(state, key, cfg.min, cfg.max, cfg.step)
     .name(key)
-    .onChange(() => scheduleRebuild());
+    .onChange(() => scheduleRebuild())
+    .onFinishChange(() => recordHistory());
 }
 const advanced = gui.addFolder("Advanced");
 advanced
@@ -86,95 +375,1015 @@ advanced
   .onChange(() => {
     if (state.lodNear >= state.lodFar) state.lodFar = Math.min(ranges.lodFar.max, state.lodNear + 100);
     scheduleRebuild();
-  });
+  })
+  .onFinishChange(() => recordHistory());
 advanced
   .add(state, "lodFar", ranges.lodFar.min, ranges.lodFar.max, ranges.lodFar.step)
   .name("LOD far")
   .onChange(() => {
     if (state.lodFar <= state.lodNear) state.lodNear = Math.max(ranges.lodNear.min, state.lodFar - 100);
     scheduleRebuild();
-  });
+  })
+  .onFinishChange(() => recordHistory());
 advanced
   .add(state, "beadEnabled", ranges.beadEnabled.min, ranges.beadEnabled.max, ranges.beadEnabled.step)
   .name("Beads")
-  .onChange(() => scheduleRebuild());
+  .onChange(() => scheduleRebuild())
+  .onFinishChange(() => recordHistory());
 advanced
   .add(state, "beadDistance", ranges.beadDistance.min, ranges.beadDistance.max, ranges.beadDistance.step)
   .name("Beads max dist")
-  .onChange(() => scheduleRebuild());
+  .onChange(() => scheduleRebuild())
+  .onFinishChange(() => recordHistory());
+advanced
+  .add(state, "mergeStatic")
+  .name("Merge meshes")
+  .onChange(() => {
+    scheduleRebuild();
+    recordHistory();
+  });
+advanced
+  .add(
+    {
+      logResources() {
+        const report = resourcesReport();
+        console.log("Resources", report);
+        console.table([...report.materials, ...report.textures]);
+        if (overlay) {
+          overlay.textContent = `${report.geometries} geometries, ${report.materials.length} materials, ${report.textures.length} textures live`;
+        }
+      }
+    },
+    "logResources"
+  )
+  .name("Log resources");
+advanced
+  .add(perfOverlay, "enabled")
+  .name("Perf overlay")
+  .onChange(on => perfOverlay.setEnabled(on));
 
-gui.add({ refit: () => rebuild({ fit: true }) }, "refit").name("Refit view");
 gui
-  .add(sceneMode, "mode", ["Day", "Dusk"])
+  .add(
+    {
+      reseed() {
+        state.seed = Math.floor(Math.random() * (ranges.seed.max + 1));
+        syncControllers();
+        scheduleRebuild();
+        recordHistory();
+      }
+    },
+    "reseed"
+  )
+  .name("New seed");
+gui.add({ undo: () => stepHistory(-1) }, "undo").name("Undo (Ctrl+Z)");
+gui.add({ redo: () => stepHistory(1) }, "redo").name("Redo (Ctrl+Shift+Z)");
+gui.add({ refit: () => rebuild({ fit: true }) }, "refit").name("Refit view");
+const sceneController = gui
+  .add(sceneMode, "mode", ["Day", "Dusk", "Festival", "Sun"])
   .name("Scene")
   .onChange(() => applyLighting());
-gui.add(autoRotate, "enabled").name("Auto rotate");
+const environmentModel = {
+  source: environment.source,
+  pickHDR() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".hdr";
+    input.addEventListener("change", async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      if (overlay) overlay.textContent = `Loading ${file.name}...`;
+      try {
+        await environment.loadHDRFile(file);
+        environmentModel.source = environment.source;
+        environmentController.updateDisplay();
+        applyLighting();
+        if (overlay) overlay.textContent = `Environment: ${file.name}`;
+      } catch (err) {
+        console.error(err);
+        if (overlay) overlay.textContent = `HDR load error: ${err.message}`;
+      }
+    });
+    input.click();
+  }
+};
+const environmentController = gui
+  .add(environmentModel, "source", ENVIRONMENT_SOURCES)
+  .name("Environment")
+  .onChange(source => {
+    environment.setSource(source);
+    applyLighting();
+    // Until a file is picked the procedural sky stands in.
+    if (source === "hdr file" && !environment.hdrName) environmentModel.pickHDR();
+  });
+gui.add(environmentModel, "pickHDR").name("Load HDR file...");
+const autoRotateController = gui.add(autoRotate, "enabled").name("Auto rotate");
 gui.add(autoRotate, "speed", 0.05, 2, 0.05).name("Rotate speed");
 
+const sunFolder = gui.addFolder("Sun");
+// Any sun control switches the scene to sun lighting.
+const useSun = () => {
+  sceneMode.mode = "Sun";
+  sceneController.updateDisplay();
+  applyLighting();
+};
+sunFolder.add(solar, "hour", 0, 24, 0.05).name("Time (h)").onChange(useSun);
+sunFolder.add(solar, "date").name("Date (YYYY-MM-DD)").onFinishChange(() => {
+  const valid = Boolean(solarDate(solar.date, 0, 0));
+  if (valid) solarDay = solar.date;
+  useSun();
+  if (!valid && overlay) overlay.textContent = `Invalid date "${solar.date}", keeping ${solarDay}`;
+});
+sunFolder.add(solar, "latitude", -66, 66, 0.01).name("Latitude").onChange(useSun);
+sunFolder.add(solar, "longitude", -180, 180, 0.01).name("Longitude").onChange(useSun);
+sunFolder.add(solar, "utcOffset", -12, 14, 0.25).name("UTC offset (h)").onChange(useSun);
+
+const festivalFolder = gui.addFolder("Festival");
+// Like the sun controls, these switch the scene to festival lighting.
+const useFestival = () => {
+  sceneMode.mode = "Festival";
+  sceneController.updateDisplay();
+  applyLighting();
+};
+festivalFolder.add(festival.options, "pattern", FESTIVAL_PATTERNS).name("Pattern").onChange(useFestival);
+festivalFolder.add(festival.options, "speed", 0.1, 4, 0.1).name("Speed").onChange(useFestival);
+festivalFolder.addColor(festival.options, "color").name("Lamp color").onChange(useFestival);
+festivalFolder.add(festival.options, "bloom", 0, 3, 0.05).name("Bloom").onChange(useFestival);
+festivalFolder.add(festival.options, "lights", 0, 16, 1).name("Light budget").onChange(useFestival);
+festivalFolder
+  .add(state, "lampSpacing", ranges.lampSpacing.min, ranges.lampSpacing.max, ranges.lampSpacing.step)
+  .name("Lamp spacing")
+  .onChange(() => scheduleRebuild())
+  .onFinishChange(() => recordHistory());
+
+const bookmarkFolder = gui.addFolder("Bookmarks");
+bookmarkFolder.add(bookmarkModel, "name").name("Bookmark name");
+bookmarkFolder.add(bookmarkModel, "save").name("Save bookmark");
+const bookmarkRemove = bookmarkFolder.add(bookmarkModel, "remove").name("Delete bookmark");
+let bookmarkSelect = null;
+const flightFolder = gui.addFolder("Flythrough");
+const flightPlay = flightFolder.add(flight, "toggle").name("Play");
+flightFolder.add(flight, "rewind").name("Rewind");
+flightFolder.add(flight, "speed", 0.1, 4, 0.1).name("Speed");
+flightFolder.add(views.flythrough, "loop").name("Loop").onChange(() => refreshCameraPath());
+appendTimelineEditor(flightFolder);
+const pathKeyAdd = flightFolder.add(flight, "addKey").name("Add key");
+const pathKeyRemove = flightFolder.add(flight, "removeKey").name("Remove key");
+let pathKeySelect = null;
+let pathKeyBookmark = null;
+const pathKeyTime = flightFolder
+  .add(flight, "keyTime", 0, MAX_PATH_TIME, 0.1)
+  .name("Key time (s)")
+  .onChange(time => {
+    const key = views.flythrough.keys[flight.editing];
+    if (!key) return;
+    key.time = time;
+    refreshCameraPath();
+  })
+  .onFinishChange(() => {
+    const key = views.flythrough.keys[flight.editing];
+    if (!key) return;
+    views.flythrough.keys.sort((a, b) => a.time - b.time);
+    flight.editing = views.flythrough.keys.indexOf(key);
+    syncViewsUI();
+  });
+syncViewsUI();
+
+const exportFolder = gui.addFolder("Export");
+exportFolder.add({ glb: () => exportCurrentGLB() }, "glb").name("Export GLB");
+exportFolder.add(printModel, "targetHeightMm", 20, 500, 5).name("Print height (mm)");
+exportFolder.add(printModel, "decorations", ["drop", "thicken"]).name("Decorations");
+exportFolder.add(printModel, "cornices").name("Print cornices");
+exportFolder.add({ stl: () => exportPrint("stl") }, "stl").name("Export print STL");
+exportFolder.add({ obj: () => exportPrint("obj") }, "obj").name("Export print OBJ");
+exportFolder.add(imageModel, "width", 16, MAX_IMAGE_SIZE, 1).name("Image width");
+exportFolder.add(imageModel, "height", 16, MAX_IMAGE_SIZE, 1).name("Image height");
+exportFolder.add(imageModel, "transparent").name("Transparent background");
+exportFolder.add({ still: () => exportStill() }, "still").name("Export still PNG");
+exportFolder.add(imageModel, "frames", 4, 360, 1).name("Turntable frames");
+exportFolder.add(imageModel, "frameWidth", 16, 4096, 1).name("Frame width");
+exportFolder.add(imageModel, "frameHeight", 16, 4096, 1).name("Frame height");
+exportFolder.add({ turntable: () => exportTurntable() }, "turntable").name("Export turntable ZIP");
+
+const presetFolder = gui.addFolder("Presets");
+presetFolder.add(presetModel, "name").name("Preset name");
+presetFolder.add(presetModel, "save").name("Save preset");
+presetFolder.add(presetModel, "remove").name("Delete preset");
+presetFolder.add(presetModel, "saveFile").name("Save JSON file");
+presetFolder.add(presetModel, "loadFile").name("Load JSON file");
+presetFolder.add(presetModel, "copyLink").name("Copy share link");
+let presetSelect = null;
+refreshPresetList();
+
+const paletteFolder = gui.addFolder("Palette");
+paletteFolder
+  .add(state, "paletteScheme", ["custom", ...Object.keys(paletteSchemes)])
+  .name("Scheme")
+  .onChange(name => {
+    if (!paletteSchemes[name]) return;
+    state.palette = paletteSchemes[name].slice();
+    syncPaletteUI();
+    scheduleRebuild();
+    recordHistory();
+  });
+paletteFolder
+  .add(state, "colorRule", COLOR_RULES)
+  .name("Color rule")
+  .onChange(() => {
+    scheduleRebuild();
+    recordHistory();
+  });
+paletteFolder
+  .add(state, "accentFixed")
+  .name("Fixed shrine color")
+  .onChange(() => {
+    syncPaletteUI();
+    scheduleRebuild();
+    recordHistory();
+  });
+const accentIndexControl = paletteFolder
+  .add(state, "shrineColorIndex", 0, ranges.shrineColorIndex.max, 1)
+  .name("Shrine color #")
+  .onChange(() => scheduleRebuild())
+  .onFinishChange(() => recordHistory());
+let paletteList = null;
+appendPaletteEditor(paletteFolder);
+
+const layoutFolder = gui.addFolder("Layout");
+["complexLength", "complexWidth", "ringHeightStep"].forEach(key => {
+  layoutFolder
+    .add(state, key, ranges[key].min, ranges[key].max, ranges[key].step)
+    .name({ complexLength: "Length", complexWidth: "Width", ringHeightStep: "Ring height step" }[key])
+    .onChange(() => scheduleRebuild())
+    .onFinishChange(() => recordHistory());
+});
+layoutFolder
+  .add(state, "mainAxis", MAIN_AXES)
+  .name("Main axis")
+  .onChange(() => {
+    scheduleRebuild();
+    recordHistory();
+  });
+// One row of side toggles per wall ring; proxies read the current state so undo stays in sync.
+for (let ring = 0; ring < MAX_RINGS; ring++) {
+  const ringFolder = layoutFolder.addFolder(ring === 0 ? "Outer ring gopurams" : `Inner ring ${ring} gopurams`);
+  ["N", "S", "E", "W"].forEach(letter => {
+    const proxy = {
+      get on() {
+        return state.gopuramSides[ring].includes(letter);
+      },
+      set on(value) {
+        const sides = state.gopuramSides.slice();
+        const current = sides[ring].replace(letter, "");
+        sides[ring] = "NSEW".split("").filter(c => (c === letter ? value : current.includes(c))).join("");
+        state.gopuramSides = sides;
+      }
+    };
+    ringFolder
+      .add(proxy, "on")
+      .name({ N: "North", S: "South", E: "East", W: "West" }[letter])
+      .onChange(() => {
+        scheduleRebuild();
+        recordHistory();
+      });
+  });
+  if (ring > 0) ringFolder.close();
+}
+
+// Courtyard elements of the innermost ring; anything that does not fit is shrunk or left out.
+const siteFolder = gui.addFolder("Site");
+const siteNames = {
+  mandapaCount: "Mandapas",
+  mandapaColumns: "Mandapa columns",
+  mandapaRows: "Mandapa rows",
+  mandapaBay: "Mandapa bay",
+  mandapaHeight: "Mandapa height",
+  flagstaffHeight: "Flagstaff height",
+  tankSize: "Tank size",
+  tankSteps: "Tank steps"
+};
+Object.entries(siteNames).forEach(([key, name]) => {
+  siteFolder
+    .add(state, key, ranges[key].min, ranges[key].max, ranges[key].step)
+    .name(name)
+    .onChange(() => scheduleRebuild())
+    .onFinishChange(() => recordHistory());
+});
+siteFolder
+  .add(state, "mandapaRoof", MANDAPA_ROOFS)
+  .name("Mandapa roof")
+  .onChange(() => {
+    scheduleRebuild();
+    recordHistory();
+  });
+siteFolder
+  .add(state, "tankPavilion")
+  .name("Tank pavilion")
+  .onChange(() => {
+    scheduleRebuild();
+    recordHistory();
+  });
+
+const sculptureFolder = gui.addFolder("Sculptures");
+sculptureFolder
+  .add(state, "sculptureVariety", ranges.sculptureVariety.min, ranges.sculptureVariety.max, ranges.sculptureVariety.step)
+  .name("Variety")
+  .onChange(() => scheduleRebuild())
+  .onFinishChange(() => recordHistory());
+// Bound through a getter so undo and loaded designs (which replace the weights object) stay in sync.
+Object.keys(defaultState.sculptureWeights).forEach(key => {
+  const proxy = {
+    get weight() {
+      return state.sculptureWeights[key];
+    },
+    set weight(value) {
+      state.sculptureWeights = { ...state.sculptureWeights, [key]: value };
+    }
+  };
+  sculptureFolder
+    .add(proxy, "weight", 0, SCULPTURE_WEIGHT_MAX, 1)
+    .name(key)
+    .onChange(() => scheduleRebuild())
+    .onFinishChange(() => recordHistory());
+});
+
+const crownFolder = gui.addFolder("Crown");
+crownFolder
+  .add(state, "crownType", CROWN_TYPES)
+  .name("Crown type")
+  .onChange(() => {
+    syncCrownControls();
+    scheduleRebuild();
+    recordHistory();
+  });
+const shalaControls = ["shalaRise", "shalaKalashas"].map(key =>
+  crownFolder
+    .add(state, key, ranges[key].min, ranges[key].max, ranges[key].step)
+    .name(key === "shalaRise" ? "Vault rise" : "Ridge kalashas")
+    .onChange(() => scheduleRebuild())
+    .onFinishChange(() => recordHistory())
+);
+syncCrownControls();
+
+const taperFolder = gui.addFolder("Taper");
+taperFolder
+  .add(taperModel, "preset", ["custom", ...Object.keys(taperPresets)])
+  .name("Preset")
+  .onChange(name => {
+    if (!taperPresets[name]) return;
+    setEditedTaper(cloneTaper(taperPresets[name]));
+    updateTaperPlot();
+    scheduleRebuild();
+    recordHistory();
+  });
+const taperCurveSelect = taperFolder
+  .add(taperModel, "curve", ["width", "depth"])
+  .name("Edit curve")
+  .onChange(() => updateTaperPlot());
+taperFolder
+  .add(state, "taperLinked")
+  .name("Depth follows width")
+  .onChange(() => {
+    updateTaperPlot();
+    scheduleRebuild();
+    recordHistory();
+  });
+appendTaperEditor(taperFolder);
+
 const profileFolder = gui.addFolder("Profile");
 profileFolder.add(profileModel, "reset").name("Reset profile");
+profileFolder.add(profileModel, "tolerance", 0.01, 5, 0.01).name("Import tolerance");
+profileFolder.add(profileModel, "importFile").name("Import SVG/DXF");
+profileFolder.add(profileModel, "exportSvg").name("Export SVG");
+profileFolder.add(profileModel, "exportDxf").name("Export DXF");
+const keyframeFolder = profileFolder.addFolder("Keyframes");
+const keyframeAdd = keyframeFolder.add(keyframeModel, "add").name("Add keyframe");
+const keyframeRemove = keyframeFolder.add(keyframeModel, "remove").name("Remove keyframe");
+const keyframeHeight = keyframeFolder
+  .add(keyframeModel, "height", 0.01, 1, 0.01)
+  .name("Height fraction")
+  .onChange(t => {
+    const key = state.profileKeyframes[keyframeModel.editing];
+    if (!key) return;
+    key.t = t;
+    scheduleRebuild();
+  })
+  .onFinishChange(() => {
+    const key = state.profileKeyframes[keyframeModel.editing];
+    if (!key) return;
+    state.profileKeyframes.sort((a, b) => a.t - b.t);
+    keyframeModel.editing = state.profileKeyframes.indexOf(key);
+    syncKeyframeUI();
+    recordHistory();
+  });
+let keyframeSelect = null;
+syncKeyframeUI();
 appendProfileEditor(profileFolder);
+profileFolder.add(profileEditor.options, "snap", 0, 5, 0.25).name("Snap grid").onChange(() => updateProfilePlot());
+profileFolder.add(profileEditor.options, "mirrorX").name("Mirror X").onChange(() => updateProfilePlot());
+profileFolder.add(profileEditor.options, "mirrorY").name("Mirror Y").onChange(() => updateProfilePlot());
 // Keep non-essential controls hidden until toggled open.
 advanced.close();
 profileFolder.close();
+presetFolder.close();
+exportFolder.close();
+taperFolder.close();
+crownFolder.close();
+paletteFolder.close();
+sculptureFolder.close();
+layoutFolder.close();
+siteFolder.close();
+sunFolder.close();
+festivalFolder.close();
+bookmarkFolder.close();
+flightFolder.close();
 gui.close();
 
-function disposeObject(obj) {
-  obj.traverse(child => {
-    if (child.geometry) child.geometry.dispose();
-    if (child.material) {
-      if (Array.isArray(child.material)) {
-        child.material.forEach(mat => mat.dispose && mat.dispose());
-      } else if (child.material.dispose) {
-        child.material.dispose();
-      }
-    }
-  });
-}
-
+// Requests the parts the design needs from the build worker; parts an earlier edit already built
+// are reused and stale builds are cancelled. The scene is swapped once every part is ready.
 function rebuild(options = { fit: false, camPos: null }) {
   const next = clampState(state);
   Object.assign(state, next);
-  if (temple) {
-    scene.remove(temple);
-    disposeObject(temple);
-  }
   try {
     const camPos = options.camPos ? options.camPos.clone() : camera.position.clone();
-    temple = buildTempleComplex(state, camPos);
+    // Snapshot so edits made while parts build cannot mix into this assembly.
+    const snapshot = clampState(state);
+    const parts = complexParts(snapshot, camPos);
+    partBuilder.focus(new Set(parts.map(p => p.key)));
+    const started = performance.now();
+    const missing = parts.filter(p => !partBuilder.has(p.key)).length;
+    pendingBuild = { state: snapshot, camPos, parts, fit: options.fit || pendingBuild?.fit, started, missing };
+    if (partBuilder.request(parts)) finishRebuild();
+    else if (overlay) overlay.textContent = "Building...";
+  } catch (err) {
+    console.error(err);
+    if (overlay) overlay.textContent = `Build error: ${err.message}`;
+  }
+}
+
+function finishRebuild() {
+  const { state: built, camPos, fit, parts, started, missing } = pendingBuild;
+  pendingBuild = null;
+  try {
+    const assembleStart = performance.now();
+    const next = buildTempleComplex(built, camPos, resolveShadowed);
+    const done = performance.now();
+    lastRebuild = { ms: done - started, assembleMs: done - assembleStart, built: missing, parts: parts.length };
+    // Every part in the scene was retained as it was resolved; releasing the old scene only frees
+    // what neither the new one nor the part builder's templates still hold.
+    if (temple) {
+      scene.remove(temple);
+      release(temple);
+    }
+    temple = next;
     temple.rotation.y = 0;
     scene.add(temple);
-    if (options.fit || !hasFittedView) {
+    partBuilder.evict(new Set(complexParts(built).map(p => p.key)));
+    if (fit || !hasFittedView) {
       fitView(temple);
       hasFittedView = true;
     }
-    if (options.fit || !lastBounds) {
+    if (fit || !lastBounds) {
       const b = new THREE.Box3().setFromObject(temple);
       lastBounds = b;
     }
-    lastDetailKey = computeDetailSignature(camPos);
+    applyHiddenLayers();
     applyLighting();
-    if (overlay) overlay.textContent = options.fit ? "Scene fitted" : "Scene updated";
+    if (overlay) overlay.textContent = fit ? "Scene fitted" : "Scene updated";
   } catch (err) {
     console.error(err);
     if (overlay) overlay.textContent = `Build error: ${err.message}`;
   }
 }
 
+// Parts cast and receive shadows; only the sun light renders a shadow map, so the other rigs pay
+// nothing for it.
+function resolveShadowed(part) {
+  const obj = partBuilder.resolve(part);
+  if (obj) {
+    obj.traverse(child => {
+      if (child.isMesh) child.castShadow = child.receiveShadow = true;
+    });
+  }
+  return obj;
+}
+
+// A part arrived: finish the pending design once it is complete, or fill in a LOD level.
+function partReady() {
+  if (pendingBuild) {
+    if (pendingBuild.parts.every(p => partBuilder.has(p.key))) finishRebuild();
+  } else if (temple && updateComplexDetail(temple, camera.position)) {
+    applyHiddenLayers();
+  }
+}
+
 function scheduleRebuild() {
   if (rebuildTimer) {
     clearTimeout(rebuildTimer);
   }
   rebuildTimer = setTimeout(() => {
+    rebuildTimer = null;
     rebuild({ fit: false, camPos: camera.position });
   }, 120);
 }
 
+async function exportCurrentGLB(filename = "parametric_tower.glb") {
+  if (!temple) return;
+  if (overlay) overlay.textContent = "Exporting GLB...";
+  try {
+    const data = await exportGLB(temple);
+    downloadBlob(data, filename, "model/gltf-binary");
+    if (overlay) overlay.textContent = `Exported ${filename}`;
+  } catch (err) {
+    console.error(err);
+    if (overlay) overlay.textContent = `Export error: ${err.message}`;
+  }
+}
+
+// Still and turntable renders follow the current lighting; festival mode adds its bloom. A
+// transparent background also leaves out the ground plane.
+function imageOptions(width, height, transparent) {
+  return { width, height, transparent, bloom: festival.enabled ? festival.options.bloom : 0 };
+}
+
+function withoutGround(transparent, render) {
+  const groundVisible = ground.visible;
+  if (transparent) ground.visible = false;
+  try {
+    return render();
+  } finally {
+    ground.visible = groundVisible;
+  }
+}
+
+async function exportStill({
+  width = imageModel.width,
+  height = imageModel.height,
+  transparent = imageModel.transparent,
+  filename = "parametric_tower.png"
+} = {}) {
+  if (!temple || exportingImage) return;
+  exportingImage = true;
+  if (overlay) overlay.textContent = `Rendering ${width}x${height} still...`;
+  try {
+    const canvas = withoutGround(transparent, () =>
+      renderStill(renderer, scene, camera, imageOptions(width, height, transparent))
+    );
+    downloadBlob(await canvasToPNG(canvas), filename, "image/png");
+    if (overlay) overlay.textContent = `Exported ${filename}`;
+  } catch (err) {
+    console.error(err);
+    if (overlay) overlay.textContent = `Image export error: ${err.message}`;
+  } finally {
+    exportingImage = false;
+  }
+}
+
+// One full turn of the complex from its current angle, whatever auto-rotate does meanwhile.
+async function exportTurntable({
+  frames = imageModel.frames,
+  width = imageModel.frameWidth,
+  height = imageModel.frameHeight,
+  transparent = imageModel.transparent,
+  filename = "parametric_tower_turntable.zip"
+} = {}) {
+  if (!temple || exportingImage) return;
+  exportingImage = true;
+  const start = temple.rotation.y;
+  // Poses one frame; the returned undo runs before the viewport renders again.
+  const turn = angle => {
+    const root = temple;
+    const before = root.rotation.y;
+    const groundVisible = ground.visible;
+    if (transparent) ground.visible = false;
+    root.rotation.y = start + angle;
+    root.updateMatrixWorld(true);
+    festival.animate(clock.elapsedTime, root);
+    return () => {
+      root.rotation.y = before;
+      root.updateMatrixWorld(true);
+      ground.visible = groundVisible;
+    };
+  };
+  try {
+    const zip = await renderTurntable(renderer, scene, camera, {
+      ...imageOptions(width, height, transparent),
+      frames,
+      turn,
+      onFrame: (done, count) => {
+        if (overlay) overlay.textContent = `Rendering turntable frame ${done}/${count}...`;
+      }
+    });
+    downloadBlob(zip, filename, "application/zip");
+    if (overlay) overlay.textContent = `Exported ${filename}`;
+  } catch (err) {
+    console.error(err);
+    if (overlay) overlay.textContent = `Turntable export error: ${err.message}`;
+  } finally {
+    exportingImage = false;
+  }
+}
+
+function exportPrint(format) {
+  try {
+    const mesh = buildPrintMesh(clampState(state), printModel);
+    const check = checkManifold(mesh.geometry);
+    if (!check.closed) throw new Error(`solid has ${check.boundaryEdges} open edges`);
+    const caps = checkCaps(mesh.geometry);
+    if (caps.overlappingTriangles) throw new Error(`solid has ${caps.overlappingTriangles} overlapping flat triangles`);
+    if (format === "stl") downloadBlob(exportPrintSTL(mesh), "gopuram_print.stl", "model/stl");
+    else downloadBlob(exportPrintOBJ(mesh), "gopuram_print.obj", "text/plain");
+    mesh.geometry.dispose();
+    if (overlay) overlay.textContent = `Exported print ${format.toUpperCase()} (${check.triangles} triangles)`;
+  } catch (err) {
+    console.error(err);
+    if (overlay) overlay.textContent = `Print export error: ${err.message}`;
+  }
+}
+
+// Build and download one GLB per state without touching the live scene.
+async function exportStatesGLB(states, prefix = "parametric_tower") {
+  const list = Array.isArray(states) ? states : [states];
+  for (let i = 0; i < list.length; i++) {
+    const entry = list[i];
+    const s = clampState(entry.state ?? entry);
+    const name = entry.name ?? `${prefix}_${String(i + 1).padStart(2, "0")}`;
+    // Retained while exporting: cached materials it shares with the live scene outlive the release.
+    const group = retain(buildTempleComplex(s, camera.position.clone()));
+    try {
+      const data = await exportGLB(group, { resetRotation: false });
+      downloadBlob(data, `${name}.glb`, "model/gltf-binary");
+    } finally {
+      release(group);
+    }
+  }
+}
+
+// Scripting hook, e.g. from the devtools console:
+//   await parametricTower.exportStatesGLB([{ name: "tall", state: { scaleY: 2 } }])
+window.parametricTower = {
+  get state() {
+    return state;
+  },
+  rebuild: () => rebuild({ fit: false, camPos: camera.position }),
+  exportGLB: exportCurrentGLB,
+  exportStatesGLB,
+  // Offscreen PNG still ({ width, height, transparent, filename }) and turntable zip (plus { frames }).
+  exportStill,
+  exportTurntable,
+  // Object and layer under a screen point, e.g. { object: "Gopuram_Ring0_East", part: "Tier3_Step1" }.
+  pick: pickAt,
+  // Hide or show layers by name ("Tier3_Step1", "Crown", ...) or RegExp across the complex.
+  setLayerVisible,
+  // Live geometries, materials and textures with their holder counts, cache sizes and renderer totals.
+  resources: resourcesReport,
+  // Export saved library presets by name (all of them when no names are given).
+  exportPresetsGLB
+};
+
+// Entries that are missing or do not parse are skipped and reported rather than aborting the batch
+// part-way through; resolves to the skipped names.
+async function exportPresetsGLB(names = listPresets()) {
+  const states = [];
+  const skipped = [];
+  names.forEach(name => {
+    try {
+      const design = loadPreset(name);
+      if (!design) throw new Error("not in the library");
+      states.push({ name, state: design.state });
+    } catch (err) {
+      console.error(`Skipping preset "${name}": ${err.message}`);
+      skipped.push(name);
+    }
+  });
+  await exportStatesGLB(states);
+  if (overlay && skipped.length) overlay.textContent = `Skipped presets: ${skipped.join(", ")}`;
+  return skipped;
+}
+
+function resourcesReport() {
+  return { ...resourceReport(), cached: cacheSizes(), renderer: { ...renderer.info.memory } };
+}
+
+const raycaster = new THREE.Raycaster();
+
+function pickAt(clientX, clientY) {
+  if (!temple) return null;
+  const rect = renderer.domElement.getBoundingClientRect();
+  const ndc = new THREE.Vector2(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+  raycaster.setFromCamera(ndc, camera);
+  // The raycaster also walks hidden LOD levels; only what is drawn can be picked.
+  const shown = obj => {
+    for (let node = obj; node; node = node.parent) if (!node.visible) return false;
+    return true;
+  };
+  const hit = raycaster.intersectObject(temple, true).find(h => shown(h.object));
+  if (!hit) return null;
+  // The built part is the direct child of the complex, or of a LOD level holder.
+  let root = hit.object;
+  while (root.parent && root.parent !== temple && !root.parent.parent?.isLOD) root = root.parent;
+  const owner = root.parent?.parent?.isLOD ? root.parent.parent : root;
+  return { object: owner.name, part: partAt(hit, root) };
+}
+
+function setLayerVisible(layer, visible = true) {
+  const key = String(layer);
+  if (visible) hiddenLayers.delete(key);
+  else hiddenLayers.set(key, layer instanceof RegExp ? name => layer.test(name) : name => name === layer || name.startsWith(`${layer}/`));
+  applyHiddenLayers();
+}
+
+function applyHiddenLayers() {
+  if (!temple) return;
+  const tests = [...hiddenLayers.values()];
+  const isHidden = name => tests.some(test => test(name));
+  temple.children.forEach(child => {
+    const roots = child.isLOD ? child.levels.flatMap(level => level.object.children) : [child];
+    roots.forEach(root => hideParts(root, isHidden));
+  });
+  // Unhiding a layer must not light the lamp strings outside festival mode.
+  festival.showLamps(temple, festival.enabled);
+}
+
+function syncControllers() {
+  gui.controllersRecursive().forEach(c => c.updateDisplay());
+}
+
+function editedPoints() {
+  const key = state.profileKeyframes[keyframeModel.editing];
+  return key ? key.points : state.profilePoints;
+}
+
+function setEditedPoints(points) {
+  const key = state.profileKeyframes[keyframeModel.editing];
+  if (key) key.points = points;
+  else state.profilePoints = points;
+}
+
+function syncProfileUI() {
+  if (!state.profileKeyframes[keyframeModel.editing]) keyframeModel.editing = -1;
+  profileModel.text = pointsToString(editedPoints());
+  if (profileTextarea) profileTextarea.value = profileModel.text;
+  updateProfilePlot();
+}
+
+// Rebuilds the keyframe dropdown and height slider after keyframes are added, removed or reordered.
+function syncKeyframeUI() {
+  if (!state.profileKeyframes[keyframeModel.editing]) keyframeModel.editing = -1;
+  const options = { "Base (0)": -1 };
+  state.profileKeyframes.forEach((k, idx) => {
+    options[`Keyframe ${idx + 1} (${k.t.toFixed(2)})`] = idx;
+  });
+  keyframeSelect = keyframeSelect
+    ? keyframeSelect.options(options)
+    : keyframeFolder.add(keyframeModel, "editing", options).name("Editing");
+  keyframeSelect.onChange(() => updateKeyframeControls());
+  updateKeyframeControls();
+}
+
+function updateKeyframeControls() {
+  const key = state.profileKeyframes[keyframeModel.editing];
+  if (key) keyframeModel.height = key.t;
+  keyframeHeight.enable(!!key);
+  keyframeRemove.enable(!!key);
+  keyframeAdd.enable(state.profileKeyframes.length < MAX_PROFILE_KEYFRAMES);
+  keyframeHeight.updateDisplay();
+  syncProfileUI();
+}
+
+function currentCamera() {
+  return { position: camera.position.toArray(), target: controls.target.toArray(), fov: camera.fov };
+}
+
+function applyCamera(cam) {
+  camera.position.fromArray(cam.position);
+  controls.target.fromArray(cam.target);
+  camera.fov = cam.fov;
+  camera.far = Math.max(camera.far, camera.position.distanceTo(controls.target) * 10);
+  camera.updateProjectionMatrix();
+  controls.update();
+}
+
+// Bookmarks are kept in the complex's own frame, so auto-rotate does not skew them.
+function bookmarkFromCamera(name) {
+  const turn = temple ? -temple.rotation.y : 0;
+  const cam = currentCamera();
+  const unturn = v => new THREE.Vector3().fromArray(v).applyAxisAngle(THREE.Object3D.DEFAULT_UP, turn).toArray();
+  return { name, position: unturn(cam.position), target: unturn(cam.target), fov: cam.fov };
+}
+
+// Shows a bookmarked or flown view. Auto-rotate stops and the complex turns back to its own frame.
+function showView(view) {
+  if (autoRotate.enabled) {
+    autoRotate.enabled = false;
+    autoRotateController.updateDisplay();
+  }
+  if (temple) temple.rotation.y = 0;
+  applyCamera(view);
+}
+
+function nextBookmarkName() {
+  let n = views.bookmarks.length + 1;
+  while (views.bookmarks.some(b => b.name === `View ${n}`)) n++;
+  return `View ${n}`;
+}
+
+function refreshCameraPath() {
+  cameraPath = createCameraPath(views.bookmarks, views.flythrough);
+  if (!cameraPath) stopFlight();
+  if (timelineEditor) timelineEditor.draw();
+}
+
+// Rebuilds the bookmark and path key dropdowns after bookmarks or keys are added, removed or reloaded.
+function syncViewsUI() {
+  const names = views.bookmarks.map(b => b.name);
+  if (!names.includes(bookmarkModel.selected)) bookmarkModel.selected = "";
+  bookmarkSelect = bookmarkSelect
+    ? bookmarkSelect.options(["", ...names])
+    : bookmarkFolder.add(bookmarkModel, "selected", ["", ...names]).name("Bookmarks");
+  bookmarkSelect.onChange(name => {
+    const bookmark = views.bookmarks.find(b => b.name === name);
+    if (!bookmark) return;
+    stopFlight();
+    showView(bookmark);
+  });
+  bookmarkRemove.enable(Boolean(bookmarkModel.selected));
+
+  const keys = views.flythrough.keys;
+  if (!keys[flight.editing]) flight.editing = -1;
+  const keyOptions = { "(none)": -1 };
+  keys.forEach((k, idx) => {
+    keyOptions[`Key ${idx + 1}: ${k.bookmark} @ ${k.time.toFixed(1)}s`] = idx;
+  });
+  pathKeySelect = pathKeySelect
+    ? pathKeySelect.options(keyOptions)
+    : flightFolder.add(flight, "editing", keyOptions).name("Editing key");
+  pathKeySelect.onChange(() => syncViewsUI());
+  const key = keys[flight.editing];
+  if (key) {
+    flight.keyBookmark = key.bookmark;
+    flight.keyTime = key.time;
+  }
+  pathKeyBookmark = pathKeyBookmark
+    ? pathKeyBookmark.options(names)
+    : flightFolder.add(flight, "keyBookmark", names).name("Key bookmark");
+  pathKeyBookmark.onChange(name => {
+    const edited = views.flythrough.keys[flight.editing];
+    if (!edited) return;
+    edited.bookmark = name;
+    syncViewsUI();
+  });
+  // Replaced dropdowns land at the end of their folder; keep the buttons and time slider after them.
+  placeLast(bookmarkRemove);
+  placeLast(pathKeyTime);
+  placeLast(pathKeyRemove);
+  pathKeyBookmark.enable(Boolean(key));
+  pathKeyTime.enable(Boolean(key)).updateDisplay();
+  pathKeyRemove.enable(Boolean(key));
+  pathKeyAdd.enable(names.length > 0 && keys.length < MAX_PATH_KEYS);
+  flightFolder.controllers.forEach(c => c.updateDisplay());
+  refreshCameraPath();
+}
+
+function placeLast(controller) {
+  controller.parent.$children.appendChild(controller.domElement);
+}
+
+function playFlight() {
+  if (!cameraPath) {
+    if (overlay) overlay.textContent = "A flythrough needs keys on at least two bookmarks";
+    return;
+  }
+  // An open path that has finished starts over.
+  if (!views.flythrough.loop && flight.time >= cameraPath.end) flight.time = cameraPath.start;
+  flight.playing = true;
+  controls.enabled = false;
+  flightPlay.name("Pause");
+}
+
+function stopFlight() {
+  flight.playing = false;
+  controls.enabled = true;
+  flightPlay.name("Play");
+}
+
+function showFlightFrame() {
+  if (cameraPath) showView(cameraPath.sample(flight.time));
+  if (timelineEditor) timelineEditor.draw();
+}
+
+function advanceFlight(dt) {
+  const { start, end } = cameraPath;
+  flight.time += dt * flight.speed;
+  if (views.flythrough.loop) {
+    flight.time = start + THREE.MathUtils.euclideanModulo(flight.time - start, end - start);
+  } else if (flight.time >= end) {
+    flight.time = end;
+    stopFlight();
+  }
+  showFlightFrame();
+}
+
+// Bookmarks and the flythrough come and go with the design; a design without them clears them.
+function applyViews(design) {
+  stopFlight();
+  views.bookmarks = design.bookmarks;
+  views.flythrough.keys = design.flythrough.keys;
+  views.flythrough.loop = design.flythrough.loop;
+  flight.editing = -1;
+  flight.time = 0;
+  syncViewsUI();
+}
+
+// Designs always arrive clamped (see parseDesign), so they are safe to hand to rebuild.
+function applyDesign(design) {
+  Object.assign(state, design.state);
+  applyViews(design);
+  syncControllers();
+  syncKeyframeUI();
+  updateTaperPlot();
+  syncCrownControls();
+  syncPaletteUI();
+  recordHistory();
+  if (design.camera) {
+    applyCamera(design.camera);
+    rebuild({ fit: false, camPos: camera.position });
+  } else {
+    rebuild({ fit: true, camPos: camera.position });
+  }
+}
+
+function recordHistory() {
+  editHistory.commit(state);
+}
+
+// Step through history (-1 undo, +1 redo) and resync every view of the state.
+function stepHistory(direction) {
+  const snap = direction < 0 ? editHistory.undo() : editHistory.redo();
+  if (!snap) return;
+  Object.assign(state, clampState(snap));
+  syncControllers();
+  syncKeyframeUI();
+  updateTaperPlot();
+  syncCrownControls();
+  syncPaletteUI();
+  scheduleRebuild();
+  if (overlay) overlay.textContent = direction < 0 ? "Undo" : "Redo";
+}
+
+window.addEventListener("keydown", evt => {
+  if (!(evt.ctrlKey || evt.metaKey)) return;
+  // Leave text fields (profile textarea, preset name) to their native undo.
+  const tag = evt.target && evt.target.tagName;
+  if (tag === "TEXTAREA" || (tag === "INPUT" && evt.target.type === "text")) return;
+  const key = evt.key.toLowerCase();
+  if (key === "z" || key === "y") {
+    evt.preventDefault();
+    stepHistory(key === "y" || evt.shiftKey ? 1 : -1);
+  }
+});
+
+function readDesignHash() {
+  try {
+    return decodeDesignHash(location.hash);
+  } catch (err) {
+    console.error("Ignoring invalid design link", err);
+    return null;
+  }
+}
+
+function refreshPresetList() {
+  const names = listPresets();
+  if (presetModel.selected && !names.includes(presetModel.selected)) presetModel.selected = "";
+  const options = ["", ...names];
+  presetSelect = presetSelect
+    ? presetSelect.options(options)
+    : presetFolder.add(presetModel, "selected", options).name("Library");
+  presetSelect.onChange(name => {
+    let design = null;
+    try {
+      design = name ? loadPreset(name) : null;
+    } catch (err) {
+      console.error(`Ignoring invalid preset "${name}"`, err);
+      if (overlay) overlay.textContent = `Preset load error: ${err.message}`;
+      return;
+    }
+    if (!design) return;
+    presetModel.name = name;
+    applyDesign(design);
+  });
+}
+
+window.addEventListener("hashchange", () => {
+  const design = readDesignHash();
+  if (design) applyDesign(design);
+});
+
 function onResize() {
   const { innerWidth, innerHeight } = window;
   renderer.setSize(innerWidth, innerHeight);
   camera.aspect = innerWidth / innerHeight;
   camera.updateProjectionMatrix();
+  festival.setSize(innerWidth, innerHeight);
 }
 window.addEventListener("resize", onResize);
 
@@ -208,9 +1417,17 @@ renderer.setAnimationLoop(() => {
   if (autoRotate.enabled && temple) {
     temple.rotation.y += autoRotate.speed * dt;
   }
+  if (flight.playing) advanceFlight(dt);
   maybeUpdateDetail();
   controls.update();
-  renderer.render(scene, camera);
+  festival.animate(clock.elapsedTime, temple);
+  if (festival.enabled) festival.render(scene, camera);
+  else renderer.render(scene, camera);
+  perfOverlay.update(renderer.info, () => ({
+    rebuild: lastRebuild,
+    builder: partBuilder.mode,
+    signature: temple ? computeDetailSignature(temple) : ""
+  }));
 });
 
 if (overlay) overlay.textContent = "Scene loaded";
@@ -223,31 +1440,53 @@ window.addEventListener("unhandledrejection", evt => {
   if (overlay) overlay.textContent = `Promise error: ${evt.reason}`;
 });
 
-function applyLighting() {
+// Fixed rigs: key, fill and rim directional lights under a hemisphere sky.
+const LIGHT_RIGS = {
+  Day: { key: [0xfff2d8, 1.0], fill: 0.35, rim: 0.25, sky: [0xaec6ff, 0.45], background: 0x546070, exposure: 1.05 },
+  Dusk: { key: [0xffb070, 0.65], fill: 0.2, rim: 0.4, sky: [0x223345, 0.3], background: 0x0f131b, exposure: 0.9 },
+  // Moonlit night under the lamp strings.
+  Festival: { key: [0x8fa6d6, 0.2], fill: 0.08, rim: 0.2, sky: [0x1a2536, 0.2], background: 0x0a0d14, exposure: 0.9 }
+};
+
+// Lights are rebuilt on every lighting change, slider ticks included. Disposing the old ones frees
+// their shadow map render targets, which removing them from the group does not.
+function clearLightRig() {
+  lightRig.children.forEach(obj => {
+    if (obj.isLight) obj.dispose();
+  });
   lightRig.clear();
+}
+
+function applyLighting() {
+  clearLightRig();
+  festival.showLamps(temple, sceneMode.mode === "Festival");
   const bounds = lastBounds;
+  if (sceneMode.mode === "Sun") {
+    applySunLighting(bounds);
+    return;
+  }
+  const rig = LIGHT_RIGS[sceneMode.mode];
   const size = bounds ? bounds.getSize(new THREE.Vector3()) : new THREE.Vector3(500, 500, 500);
   const center = bounds ? bounds.getCenter(new THREE.Vector3()) : new THREE.Vector3();
-  const key = new THREE.DirectionalLight(
-    sceneMode.mode === "Day" ? 0xfff2d8 : 0xffb070,
-    sceneMode.mode === "Day" ? 1.0 : 0.65
-  );
+  const key = new THREE.DirectionalLight(...rig.key);
   key.position.set(center.x - size.x, center.y + size.y * 1.4, center.z - size.z);
   key.castShadow = false;
 
-  const fill = new THREE.DirectionalLight(0xcfd8ff, sceneMode.mode === "Day" ? 0.35 : 0.2);
+  const fill = new THREE.DirectionalLight(0xcfd8ff, rig.fill);
   fill.position.set(center.x + size.x, center.y + size.y * 1.2, center.z + size.z * 0.6);
 
-  const rim = new THREE.DirectionalLight(0x88aaff, sceneMode.mode === "Day" ? 0.25 : 0.4);
+  const rim = new THREE.DirectionalLight(0x88aaff, rig.rim);
   rim.position.set(center.x, center.y + size.y * 1.6, center.z + size.z * 1.4);
 
-  const hemi = new THREE.HemisphereLight(
-    sceneMode.mode === "Day" ? 0xaec6ff : 0x223345,
-    0x1b1d22,
-    sceneMode.mode === "Day" ? 0.45 : 0.3
-  );
+  const hemi = new THREE.HemisphereLight(rig.sky[0], 0x1b1d22, rig.sky[1]);
 
   lightRig.add(key, fill, rim, hemi);
+  const keyDirection = key.position.clone().sub(center);
+
+  if (sceneMode.mode === "Festival") {
+    // Real lights only up to the budget; the lamps themselves are unlit instances.
+    festival.placeLights(lightRig, temple, Math.max(size.x, size.z) * 0.35);
+  }
 
   if (sceneMode.mode === "Dusk") {
     const lampPositions = [
@@ -263,308 +1502,73 @@ function applyLighting() {
     });
   }
 
-  if (sceneMode.mode === "Day") {
-    scene.background = new THREE.Color(0x546070);
-    renderer.setClearColor(0x546070, 1);
-    renderer.toneMappingExposure = 1.05;
-  } else {
-    scene.background = new THREE.Color(0x0f131b);
-    renderer.setClearColor(0x0f131b, 1);
-    renderer.toneMappingExposure = 0.9;
+  scene.background = new THREE.Color(rig.background);
+  renderer.setClearColor(rig.background, 1);
+  renderer.toneMappingExposure = rig.exposure;
+  environment.update(sceneMode.mode, keyDirection);
+}
+
+// Sun-driven key light with a shadow map fitted to the complex, plus a sky fill that fades at night.
+function applySunLighting(bounds) {
+  const box = bounds || new THREE.Box3(new THREE.Vector3(-250, 0, -250), new THREE.Vector3(250, 500, 250));
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const sun = sunPosition(solarDate(solarDay, solar.hour, solar.utcOffset), solar.latitude, solar.longitude);
+  const light = sunlight(sun.altitude);
+  const dir = sunDirection(sun);
+
+  const key = new THREE.DirectionalLight(light.color, light.intensity);
+  const radius = sphere.radius;
+  key.position.copy(sphere.center).addScaledVector(dir, radius * 2);
+  key.target.position.copy(sphere.center);
+  key.castShadow = sun.altitude > 0;
+  if (key.castShadow) {
+    // Shadows fall along the light, so the frustum already frames every shadow the complex casts
+    // side to side; depth has to reach the ground where a low sun throws them.
+    const height = box.max.y - Math.min(0, box.min.y);
+    const reach = Math.min(height / Math.max(Math.sin(sun.altitude), 0.05), radius * 8);
+    const mapSize = Math.min(4096, renderer.capabilities.maxTextureSize);
+    const cam = key.shadow.camera;
+    cam.left = cam.bottom = -radius;
+    cam.right = cam.top = radius;
+    cam.near = radius * 0.5;
+    cam.far = radius * 3 + reach;
+    cam.updateProjectionMatrix();
+    key.shadow.mapSize.set(mapSize, mapSize);
+    key.shadow.bias = -0.0003;
+    key.shadow.normalBias = ((radius * 2) / mapSize) * 1.5;
+  }
+
+  const hemi = new THREE.HemisphereLight(0xaec6ff, 0x3a3026, light.skyIntensity);
+  lightRig.add(key, key.target, hemi);
+
+  scene.background = light.background;
+  renderer.setClearColor(light.background, 1);
+  renderer.toneMappingExposure = 1.0;
+  environment.update("Sun", dir);
+  if (overlay) {
+    const deg = rad => THREE.MathUtils.radToDeg(rad).toFixed(1);
+    overlay.textContent = `Sun altitude ${deg(sun.altitude)}°, azimuth ${deg(sun.azimuth)}°`;
   }
 }
 
+// The ground lives as long as the page; retaining it keeps its grid texture counted with the rest.
 function makeGround() {
   const size = 4000;
-  const tileTex = (() => {
-    const key = "ground-tiles";
-    if (textureCache.has(key)) return textureCache.get(key);
-    const canvas = document.createElement("canvas");
-    canvas.width = canvas.height = 256;
-    const ctx = canvas.getContext("2d");
-    ctx.fillStyle = "#3b3f47";
-    ctx.fillRect(0, 0, 256, 256);
-    ctx.strokeStyle = "rgba(255,255,255,0.05)";
-    ctx.lineWidth = 2;
-    const step = 32;
-    for (let i = 0; i <= 256; i += step) {
-      ctx.beginPath();
-      ctx.moveTo(i, 0);
-      ctx.lineTo(i, 256);
-      ctx.stroke();
-      ctx.beginPath();
-      ctx.moveTo(0, i);
-      ctx.lineTo(256, i);
-      ctx.stroke();
-    }
-    const tex = new THREE.CanvasTexture(canvas);
-    tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-    tex.repeat.set(30, 30);
-    tex.anisotropy = 4;
-    textureCache.set(key, tex);
-    return tex;
-  })();
-
-  const mat = new THREE.MeshStandardMaterial({
-    map: tileTex,
-    roughness: 0.95,
-    metalness: 0.0,
-    color: 0x555a64
-  });
-  const plane = new THREE.Mesh(new THREE.PlaneGeometry(size, size), mat);
+  const plane = new THREE.Mesh(new THREE.PlaneGeometry(size, size), groundMaterial());
+  plane.name = "Ground";
   plane.rotation.x = -Math.PI / 2;
   plane.position.y = -0.1;
   plane.receiveShadow = true;
-  return plane;
-}
-
-function makeContextWalls() {
-  const w = 2500;
-  const h = 500;
-  const d = 2500;
-  const mat = graniteMaterial();
-  const walls = new THREE.Group();
-  return walls;
-}
-
-function loadHDR() {
-  const hdrUrl = "https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/venice_sunset_1k.hdr";
-  const loader = new RGBELoader();
-  loader.setDataType(THREE.UnsignedByteType);
-  const pmrem = new THREE.PMREMGenerator(renderer);
-  loader.load(
-    hdrUrl,
-    texture => {
-      const envMap = pmrem.fromEquirectangular(texture).texture;
-      texture.dispose();
-      scene.environment = envMap;
-      scene.background = envMap;
-      if (overlay) overlay.textContent = "HDR loaded";
-    },
-    undefined,
-    err => {
-      console.error("HDR load failed", err);
-      if (overlay) overlay.textContent = "HDR load failed, using flat bg";
-    }
-  );
-}
-
-function buildTempleComplex(state, camPos = new THREE.Vector3()) {
-  const group = new THREE.Group();
-  const wallThickness = state.wallThickness;
-  const baseHeight = 100 * state.baseScale;
-  const wallHeight = baseHeight; // walls top align with tower base height
-  const wallMat = graniteMaterial();
-
-  const baseSpan = 1500;
-  const wallSpacing = state.wallSpacing;
-  const innerCount = Math.max(0, Math.floor(state.innerWalls));
-
-  // outer enclosure
-  const outerSpan = baseSpan;
-  group.add(buildWalls(outerSpan, wallThickness, wallHeight, wallMat, -20));
-  placeTowers(group, state, outerSpan / 2 + wallThickness, 1, camPos);
-  placeCentralShrine(group, state);
-
-  // inner enclosures
-  for (let i = 0; i < innerCount; i++) {
-    const span = Math.max(300, outerSpan - wallSpacing * (i + 1));
-    if (span <= 300) break;
-    const tScale = Math.max(0.6, 1 - 0.1 * (i + 1));
-    const thickness = wallThickness * Math.max(0.5, 1 - 0.08 * (i + 1));
-    const height = wallHeight * Math.max(0.5, 1 - 0.08 * (i + 1));
-    group.add(buildWalls(span, thickness, height, wallMat, -20));
-    placeTowers(group, state, span / 2 + thickness, tScale, camPos);
-  }
-
-  // pond/tank placeholder
-  const tankSpan = innerCount > 0 ? Math.max(200, outerSpan - wallSpacing * innerCount) : outerSpan * 0.5;
-  const tank = new THREE.Mesh(
-    new THREE.BoxGeometry(400, 20, 400),
-    new THREE.MeshStandardMaterial({ color: 0x264c5a, roughness: 0.7, metalness: 0.05, transparent: true, opacity: 0.9 })
-  );
-  tank.position.set(-tankSpan / 3, -10, tankSpan / 3);
-  group.add(tank);
-
-  return group;
-}
-
-function buildWalls(span, thickness, height, mat, yOffset = 0) {
-  // Single extruded ring for crisp corners (no overlapping “#” pattern).
-  const walls = new THREE.Group();
-  const outer = span / 2 + thickness;
-  const inner = Math.max(1, span / 2 - thickness);
-
-  const shape = new THREE.Shape([
-    new THREE.Vector2(-outer, -outer),
-    new THREE.Vector2(outer, -outer),
-    new THREE.Vector2(outer, outer),
-    new THREE.Vector2(-outer, outer)
-  ]);
-  const hole = new THREE.Path([
-    new THREE.Vector2(-inner, -inner),
-    new THREE.Vector2(-inner, inner),
-    new THREE.Vector2(inner, inner),
-    new THREE.Vector2(inner, -inner)
-  ]);
-  shape.holes.push(hole);
-
-  const geo = new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false });
-  geo.rotateX(-Math.PI / 2);
-  // Extend wall downward slightly more to fully close gap to plinth.
-  const plinthExtra = thickness * 0.5;
-  geo.translate(0, height / 2 + yOffset - plinthExtra, 0);
-  const mesh = new THREE.Mesh(geo, mat);
-  walls.add(mesh);
-
-  // Add a stepped plinth beneath the wall ring.
-  const stepHeights = [thickness * 0.35, thickness * 0.25, thickness * 0.2];
-  let accHeight = 0;
-  stepHeights.forEach((h, idx) => {
-    const scale = 1 + 0.1 * (stepHeights.length - idx); // wider toward ground
-    const o = outer * scale;
-    const i = Math.max(1, inner * scale - thickness * 0.4);
-    const stepShape = new THREE.Shape([
-      new THREE.Vector2(-o, -o),
-      new THREE.Vector2(o, -o),
-      new THREE.Vector2(o, o),
-      new THREE.Vector2(-o, o)
-    ]);
-    const stepHole = new THREE.Path([
-      new THREE.Vector2(-i, -i),
-      new THREE.Vector2(-i, i),
-      new THREE.Vector2(i, i),
-      new THREE.Vector2(i, -i)
-    ]);
-    stepShape.holes.push(stepHole);
-    const stepGeo = new THREE.ExtrudeGeometry(stepShape, { depth: h, bevelEnabled: false });
-    stepGeo.rotateX(-Math.PI / 2);
-    // Stack steps upward from the ground reference (yOffset).
-    stepGeo.translate(0, yOffset + accHeight + h / 2, 0);
-    const stepMesh = new THREE.Mesh(stepGeo, mat);
-    walls.add(stepMesh);
-    accHeight += h;
-  });
-  return walls;
-}
-
-function placeTowers(group, state, offset, scale = 1, camPos = new THREE.Vector3()) {
-  const towerPositions = [
-    { pos: [0, 0, offset], rot: Math.PI }, // north
-    { pos: [0, 0, -offset], rot: 0 }, // south
-    { pos: [offset, 0, 0], rot: -Math.PI / 2 }, // east
-    { pos: [-offset, 0, 0], rot: Math.PI / 2 } // west
-  ];
-  towerPositions.forEach(cfg => {
-    const tPos = new THREE.Vector3(cfg.pos[0], 0, cfg.pos[2]);
-    const dist = tPos.distanceTo(camPos);
-    const detail = detailForPos(camPos, tPos, state);
-    const beadVisible = state.beadEnabled && dist < state.beadDistance && detail !== "low";
-    const t = buildTower(state, detail, beadVisible);
-    t.scale.setScalar(scale);
-    t.position.copy(tPos);
-    t.rotation.y = cfg.rot;
-    group.add(t);
-  });
-}
-
-function makeNoiseTexture(base, noise, size = 256, density = 0.06) {
-  const key = `noise-${base}-${noise}-${size}-${density}`;
-  if (textureCache.has(key)) return textureCache.get(key);
-  const canvas = document.createElement("canvas");
-  canvas.width = canvas.height = size;
-  const ctx = canvas.getContext("2d");
-  ctx.fillStyle = base;
-  ctx.fillRect(0, 0, size, size);
-  ctx.fillStyle = noise;
-  const dots = Math.floor(size * size * density);
-  for (let i = 0; i < dots; i++) {
-    const x = Math.random() * size;
-    const y = Math.random() * size;
-    const r = Math.random() * 1.4 + 0.3;
-    ctx.globalAlpha = Math.random() * 0.25 + 0.35;
-    ctx.fillRect(x, y, r, r);
-  }
-  ctx.globalAlpha = 1;
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-  tex.anisotropy = 4;
-  textureCache.set(key, tex);
-  return tex;
-}
-
-function graniteMaterial() {
-  const tex = makeNoiseTexture("#8e929a", "#5c6068", 256, 0.07);
-  tex.repeat.set(6, 6);
-  return new THREE.MeshStandardMaterial({
-    map: tex,
-    color: 0x8e929a,
-    roughness: 0.92,
-    metalness: 0.03
-  });
-}
-
-function placeCentralShrine(group, state) {
-  const s = { ...state, scaleX: 0.6, scaleY: 0.6, scaleZ: 0.6, visibleTiers: Math.min(state.visibleTiers, 6) };
-  const tower = buildTower(s, "medium", state.beadEnabled && state.beadDistance > 0);
-  tower.position.set(0, 0, 0);
-  group.add(tower);
-}
-
-function computeDetailSignature(camPos) {
-  const wallThickness = state.wallThickness;
-  const wallSpacing = state.wallSpacing;
-  const innerCount = Math.max(0, Math.floor(state.innerWalls));
-  const baseSpan = 1500;
-  const sig = [];
-
-  const outerSpan = baseSpan;
-  const outerOffset = outerSpan / 2 + wallThickness;
-  sig.push(...detailEntriesForOffset(outerOffset, camPos));
-
-  for (let i = 0; i < innerCount; i++) {
-    const span = Math.max(300, outerSpan - wallSpacing * (i + 1));
-    if (span <= 300) break;
-    const thickness = wallThickness * Math.max(0.5, 1 - 0.08 * (i + 1));
-    const offset = span / 2 + thickness;
-    sig.push(...detailEntriesForOffset(offset, camPos));
-  }
-
-  // central
-  sig.push(detailForPos(camPos, new THREE.Vector3(0, 0, 0), state));
-  return sig.join(",");
-}
-
-function detailEntriesForOffset(offset, camPos) {
-  return [
-    detailForPos(camPos, new THREE.Vector3(0, 0, offset), state),
-    detailForPos(camPos, new THREE.Vector3(0, 0, -offset), state),
-    detailForPos(camPos, new THREE.Vector3(offset, 0, 0), state),
-    detailForPos(camPos, new THREE.Vector3(-offset, 0, 0), state)
-  ];
-}
-
-function detailForPos(camPos, towerPos, st = state) {
-  const near = Math.min(st.lodNear, st.lodFar - 50);
-  const far = Math.max(st.lodFar, near + 50);
-  const dist = camPos.distanceTo(towerPos);
-  const hysteresis = near * 0.05;
-  const highCut = Math.max(50, near - hysteresis);
-  const medCut = Math.max(highCut + 25, far - hysteresis);
-  if (dist < highCut) return "high";
-  if (dist < medCut) return "medium";
-  return "low";
+  return retain(plane);
 }
 
+// Switches cached LOD levels by camera distance; only new levels are built, nothing is torn down.
 function maybeUpdateDetail(force = false) {
   const now = performance.now();
   if (!force && now - lastCamCheck.time < LOD_INTERVAL) return;
-  const sig = computeDetailSignature(camera.position);
   lastCamCheck.pos.copy(camera.position);
   lastCamCheck.time = now;
-  if (sig !== lastDetailKey && !rebuildTimer) {
-    rebuild({ fit: false, camPos: camera.position });
-  }
+  if (temple && !rebuildTimer && !pendingBuild && updateComplexDetail(temple, camera.position)) applyHiddenLayers();
 }
 
 function appendProfileEditor(folder) {
@@ -595,11 +1599,10 @@ function appendProfileEditor(folder) {
       textarea.value = profileModel.text;
       return;
     }
-    state.profilePoints = cloneProfile(parsed);
-    profileModel.text = pointsToString(parsed);
-    textarea.value = profileModel.text;
-    updateProfilePlot(state.profilePoints);
+    setEditedPoints(cloneProfile(parsed));
+    syncProfileUI();
     scheduleRebuild();
+    recordHistory();
   });
   wrap.appendChild(textarea);
 
@@ -609,8 +1612,22 @@ function appendProfileEditor(folder) {
   canvas.style.width = "100%";
   canvas.style.border = "1px solid rgba(255,255,255,0.1)";
   wrap.appendChild(canvas);
-  profileCanvas = canvas;
-  updateProfilePlot(state.profilePoints);
+  profileEditor = createProfileEditor(canvas, {
+    getPoints: editedPoints,
+    setPoints: setEditedPoints,
+    onEdit: () => {
+      syncProfileUI();
+      scheduleRebuild();
+    },
+    onCommit: () => recordHistory()
+  });
+  updateProfilePlot();
+
+  const hint = document.createElement("div");
+  hint.textContent = "Drag points, click an edge to add (Shift+click on short edges), double-click to delete.";
+  hint.style.fontSize = "10px";
+  hint.style.opacity = "0.7";
+  wrap.appendChild(hint);
 
   folder.domElement.appendChild(wrap);
 }
@@ -634,52 +1651,209 @@ function pointsToString(points) {
   return points.map(p => `${(p.x ?? p[0]).toFixed(6)}, ${(p.y ?? p[1]).toFixed(6)}`).join("\n");
 }
 
-function updateProfilePlot(points) {
-  if (!profileCanvas) return;
-  const ctx = profileCanvas.getContext("2d");
-  const w = profileCanvas.width;
-  const h = profileCanvas.height;
-  ctx.clearRect(0, 0, w, h);
-  if (!points || points.length < 2) return;
-
-  let minX = Infinity;
-  let maxX = -Infinity;
-  let minY = Infinity;
-  let maxY = -Infinity;
-  points.forEach(p => {
-    minX = Math.min(minX, p.x ?? p[0]);
-    maxX = Math.max(maxX, p.x ?? p[0]);
-    minY = Math.min(minY, p.y ?? p[1]);
-    maxY = Math.max(maxY, p.y ?? p[1]);
+function updateProfilePlot() {
+  if (profileEditor) profileEditor.draw();
+}
+
+// While depth follows width there is only one curve to edit.
+function editedTaperKey() {
+  return state.taperLinked || taperModel.curve === "width" ? "taperWidth" : "taperDepth";
+}
+
+function setEditedTaper(points) {
+  state[editedTaperKey()] = points;
+}
+
+function appendTimelineEditor(folder) {
+  const wrap = document.createElement("div");
+  wrap.style.padding = "8px";
+  wrap.style.background = "rgba(0,0,0,0.15)";
+  wrap.style.borderRadius = "6px";
+  wrap.style.display = "flex";
+  wrap.style.flexDirection = "column";
+  wrap.style.gap = "6px";
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 240;
+  canvas.height = 64;
+  canvas.style.width = "100%";
+  canvas.style.border = "1px solid rgba(255,255,255,0.1)";
+  wrap.appendChild(canvas);
+  timelineEditor = createTimelineEditor(canvas, {
+    getKeys: () => views.flythrough.keys,
+    getTime: () => flight.time,
+    getSelected: () => flight.editing,
+    onScrub: time => {
+      stopFlight();
+      flight.time = time;
+      showFlightFrame();
+    },
+    onSelect: index => {
+      flight.editing = index;
+      syncViewsUI();
+    },
+    onMoveKey: (index, time) => {
+      const key = views.flythrough.keys[index];
+      key.time = Math.min(MAX_PATH_TIME, time);
+      if (index === flight.editing) {
+        flight.keyTime = key.time;
+        pathKeyTime.updateDisplay();
+      }
+      refreshCameraPath();
+    },
+    onCommit: () => {
+      const key = views.flythrough.keys[flight.editing];
+      views.flythrough.keys.sort((a, b) => a.time - b.time);
+      flight.editing = views.flythrough.keys.indexOf(key);
+      syncViewsUI();
+    }
   });
-  const spanX = Math.max(1e-3, maxX - minX);
-  const spanY = Math.max(1e-3, maxY - minY);
-  const scale = 0.8 * Math.min(w / spanX, h / spanY);
-  const cx = (minX + maxX) / 2;
-  const cy = (minY + maxY) / 2;
-
-  ctx.save();
-  ctx.translate(w / 2, h / 2);
-  ctx.scale(1, -1);
-  ctx.strokeStyle = "rgba(255,255,255,0.08)";
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(-w / 2, 0);
-  ctx.lineTo(w / 2, 0);
-  ctx.moveTo(0, -h / 2);
-  ctx.lineTo(0, h / 2);
-  ctx.stroke();
-
-  ctx.strokeStyle = "rgba(255,255,255,0.9)";
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  points.forEach((p, idx) => {
-    const x = ((p.x ?? p[0]) - cx) * scale;
-    const y = ((p.y ?? p[1]) - cy) * scale;
-    if (idx === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
+
+  const hint = document.createElement("div");
+  hint.textContent = "Keys fly through bookmarks in time order. Drag a key to retime it, click elsewhere to scrub.";
+  hint.style.fontSize = "10px";
+  hint.style.opacity = "0.7";
+  wrap.appendChild(hint);
+
+  folder.domElement.appendChild(wrap);
+}
+
+function appendTaperEditor(folder) {
+  const wrap = document.createElement("div");
+  wrap.style.padding = "8px";
+  wrap.style.background = "rgba(0,0,0,0.15)";
+  wrap.style.borderRadius = "6px";
+  wrap.style.display = "flex";
+  wrap.style.flexDirection = "column";
+  wrap.style.gap = "6px";
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 240;
+  canvas.height = 240;
+  canvas.style.width = "100%";
+  canvas.style.border = "1px solid rgba(255,255,255,0.1)";
+  wrap.appendChild(canvas);
+  taperEditor = createTaperEditor(canvas, {
+    getPoints: () => state[editedTaperKey()],
+    setPoints: setEditedTaper,
+    onEdit: () => {
+      if (taperModel.preset !== "custom") {
+        taperModel.preset = "custom";
+        syncControllers();
+      }
+      updateTaperPlot();
+      scheduleRebuild();
+    },
+    onCommit: () => recordHistory()
+  });
+
+  const hint = document.createElement("div");
+  hint.textContent = "Silhouette from base to crown. Drag points, click the curve to add, double-click to delete.";
+  hint.style.fontSize = "10px";
+  hint.style.opacity = "0.7";
+  wrap.appendChild(hint);
+
+  folder.domElement.appendChild(wrap);
+  updateTaperPlot();
+}
+
+// Colour swatch rows: pick, move up/down or remove; edits mark the scheme as custom.
+function appendPaletteEditor(folder) {
+  const wrap = document.createElement("div");
+  wrap.style.padding = "8px";
+  wrap.style.display = "flex";
+  wrap.style.flexDirection = "column";
+  wrap.style.gap = "4px";
+  paletteList = document.createElement("div");
+  paletteList.style.display = "flex";
+  paletteList.style.flexDirection = "column";
+  paletteList.style.gap = "4px";
+  wrap.appendChild(paletteList);
+
+  const add = document.createElement("button");
+  add.textContent = "Add color";
+  add.addEventListener("click", () => {
+    if (state.palette.length >= MAX_PALETTE) return;
+    state.palette.push(state.palette[state.palette.length - 1] ?? 0xffffff);
+    editPalette(true);
+  });
+  wrap.appendChild(add);
+  folder.domElement.appendChild(wrap);
+  syncPaletteUI();
+}
+
+function editPalette(commit) {
+  if (state.paletteScheme !== "custom") {
+    state.paletteScheme = "custom";
+    syncControllers();
+  }
+  syncPaletteUI();
+  scheduleRebuild();
+  if (commit) recordHistory();
+}
+
+function syncPaletteUI() {
+  const n = state.palette.length;
+  accentIndexControl.max(n - 1);
+  if (state.shrineColorIndex > n - 1) state.shrineColorIndex = n - 1;
+  accentIndexControl.enable(state.accentFixed).updateDisplay();
+  if (!paletteList) return;
+  paletteList.replaceChildren();
+  state.palette.forEach((hex, idx) => {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.gap = "4px";
+    row.style.alignItems = "center";
+
+    const label = document.createElement("span");
+    label.textContent = String(idx);
+    label.style.width = "16px";
+    label.style.fontSize = "11px";
+    row.appendChild(label);
+
+    const input = document.createElement("input");
+    input.type = "color";
+    input.value = `#${hex.toString(16).padStart(6, "0")}`;
+    input.style.flex = "1";
+    // Live preview while picking; the history step lands when the picker closes.
+    input.addEventListener("input", () => {
+      state.palette[idx] = parseInt(input.value.slice(1), 16);
+      if (state.paletteScheme !== "custom") {
+        state.paletteScheme = "custom";
+        syncControllers();
+      }
+      scheduleRebuild();
+    });
+    input.addEventListener("change", () => recordHistory());
+    row.appendChild(input);
+
+    const button = (text, title, enabled, onClick) => {
+      const b = document.createElement("button");
+      b.textContent = text;
+      b.title = title;
+      b.disabled = !enabled;
+      b.addEventListener("click", onClick);
+      row.appendChild(b);
+    };
+    const swap = other => {
+      [state.palette[idx], state.palette[other]] = [state.palette[other], state.palette[idx]];
+      editPalette(true);
+    };
+    button("\u2191", "Move up", idx > 0, () => swap(idx - 1));
+    button("\u2193", "Move down", idx < n - 1, () => swap(idx + 1));
+    button("\u2715", "Remove", n > 1, () => {
+      state.palette.splice(idx, 1);
+      editPalette(true);
+    });
+    paletteList.appendChild(row);
   });
-  ctx.closePath();
-  ctx.stroke();
-  ctx.restore();
+}
+
+function syncCrownControls() {
+  shalaControls.forEach(c => c.enable(state.crownType === "shala"));
+}
+
+function updateTaperPlot() {
+  taperCurveSelect.enable(!state.taperLinked);
+  if (taperEditor) taperEditor.draw();
 }
@@ -0,0 +1,215 @@
+import * as THREE from "three";
+import { mulberry32, hashSeed } from "./random.js";
+import { onDispose } from "./resources.js";
+
+// Both caches forget an entry once the scenes using it have released it (see resources.js).
+const materialCache = new Map();
+const textureCache = new Map();
+// Seed for texture speckle; builders set it from state.seed before requesting materials.
+let textureSeed = 0;
+
+// Canvas-backed textures only exist in the browser; headless builds get untextured materials.
+const hasCanvas = typeof document !== "undefined" && typeof document.createElement === "function";
+
+export function setTextureSeed(seed = 0) {
+  textureSeed = Math.floor(seed) || 0;
+}
+
+export function makeNoiseTexture(baseColor, noiseColor, size = 256, density = 0.08, alphaMin = 0, alphaRange = 0.35, dotMax = 1.2, seed = textureSeed) {
+  const key = `${baseColor}-${noiseColor}-${size}-${density}-${alphaMin}-${alphaRange}-${dotMax}-${seed}`;
+  if (textureCache.has(key)) return textureCache.get(key);
+  if (!hasCanvas) return null;
+  const random = mulberry32(hashSeed(seed, key));
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = baseColor;
+  ctx.fillRect(0, 0, size, size);
+  const dots = Math.floor(size * size * density);
+  ctx.fillStyle = noiseColor;
+  for (let i = 0; i < dots; i++) {
+    const x = random() * size;
+    const y = random() * size;
+    const r = random() * dotMax + 0.3;
+    ctx.globalAlpha = random() * alphaRange + alphaMin;
+    ctx.fillRect(x, y, r, r);
+  }
+  ctx.globalAlpha = 1;
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  tex.anisotropy = 4;
+  textureCache.set(key, tex);
+  onDispose(tex, () => textureCache.delete(key));
+  return tex;
+}
+
+// Faint grid lines on dark tiles for the ground plane.
+function makeGridTexture() {
+  const key = "ground-tiles";
+  if (textureCache.has(key)) return textureCache.get(key);
+  if (!hasCanvas) return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = 256;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#3b3f47";
+  ctx.fillRect(0, 0, 256, 256);
+  ctx.strokeStyle = "rgba(255,255,255,0.05)";
+  ctx.lineWidth = 2;
+  const step = 32;
+  for (let i = 0; i <= 256; i += step) {
+    ctx.beginPath();
+    ctx.moveTo(i, 0);
+    ctx.lineTo(i, 256);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(0, i);
+    ctx.lineTo(256, i);
+    ctx.stroke();
+  }
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.name = key;
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  tex.repeat.set(30, 30);
+  tex.anisotropy = 4;
+  textureCache.set(key, tex);
+  onDispose(tex, () => textureCache.delete(key));
+  return tex;
+}
+
+function getMaterial(key, params, name = key, Material = THREE.MeshStandardMaterial) {
+  // Textures differ per seed, so materials sharing a key are still cached per seed.
+  const cacheKey = `${key}@${textureSeed}`;
+  if (materialCache.has(cacheKey)) return materialCache.get(cacheKey);
+  const mat = new Material(params);
+  // Names survive glTF export so the material slots stay recognisable in DCC tools.
+  mat.name = name;
+  materialCache.set(cacheKey, mat);
+  onDispose(mat, () => materialCache.delete(cacheKey));
+  return mat;
+}
+
+// Textures are created on first use so importing this module never touches the DOM.
+const textureDefs = {
+  // Granite base: cool gray with subtle speckle.
+  granite: () => makeNoiseTexture("#8e929a", "#5c6068", 256, 0.07),
+  // Lime plaster: warm off-white with subtle variation.
+  plaster: () => makeNoiseTexture("#f3f1e4", "#d8d2be", 256, 0.045),
+  wood: () => makeNoiseTexture("#5a3a1f", "#2f1f12", 256, 0.05),
+  metal: () => makeNoiseTexture("#d4a33a", "#8f6a1f", 256, 0.03),
+  // Wall granite uses a denser, more opaque speckle than the tower stone.
+  wallGranite: () => makeNoiseTexture("#8e929a", "#5c6068", 256, 0.07, 0.35, 0.25, 1.4)
+};
+const textureRepeat = { granite: 4, plaster: 3, wood: 2, metal: 2, wallGranite: 6 };
+const textures = new Map();
+
+function texture(name) {
+  const key = `${name}@${textureSeed}`;
+  if (textures.has(key)) return textures.get(key);
+  const tex = textureDefs[name]();
+  if (tex) {
+    tex.name = key;
+    tex.repeat.set(textureRepeat[name], textureRepeat[name]);
+    onDispose(tex, () => textures.delete(key));
+  }
+  textures.set(key, tex);
+  return tex;
+}
+
+// Factory call that produced each material, so geometry built in a worker can name its
+// materials and the main thread can recreate them (see sceneTransfer.js).
+const materialSources = new WeakMap();
+
+function remember(mat, source) {
+  materialSources.set(mat, source);
+  return mat;
+}
+
+const factories = {
+  stone: () =>
+    getMaterial("stone", {
+      color: 0x8e929a,
+      map: texture("granite"),
+      roughness: 0.9,
+      metalness: 0.03
+    }, "Stone"),
+  stoneDark: () =>
+    getMaterial("stoneDark", {
+      color: 0x585d66,
+      map: texture("granite"),
+      roughness: 0.95,
+      metalness: 0.02
+    }, "StoneDark"),
+  plaster: color =>
+    getMaterial(`plaster-${color}`, {
+      color,
+      map: texture("plaster"),
+      roughness: 0.75,
+      metalness: 0.05
+    }, `Plaster #${new THREE.Color(color).getHexString()}`),
+  wood: () =>
+    getMaterial("wood", {
+      color: 0x5a3a1f,
+      map: texture("wood"),
+      roughness: 0.8,
+      metalness: 0.05
+    }, "Wood"),
+  metal: () =>
+    getMaterial("metal", {
+      color: 0xd7a500,
+      map: texture("metal"),
+      roughness: 0.4,
+      metalness: 0.65
+    }, "Metal"),
+  bronze: () =>
+    getMaterial("bronze", {
+      color: 0xb8863b,
+      map: texture("metal"),
+      roughness: 0.55,
+      metalness: 0.65
+    }, "Bronze"),
+  // Unlit so per-instance colours (festival.js) show as given, brighter than 1 for bloom.
+  lamp: () => getMaterial("lamp", { color: 0xffffff }, "Lamp", THREE.MeshBasicMaterial)
+};
+
+export const materials = Object.fromEntries(
+  Object.entries(factories).map(([name, make]) => [name, (...args) => remember(make(...args), [name, ...args])])
+);
+
+export function graniteMaterial() {
+  const mat = new THREE.MeshStandardMaterial({
+    map: texture("wallGranite"),
+    color: 0x8e929a,
+    roughness: 0.92,
+    metalness: 0.03
+  });
+  mat.name = "WallGranite";
+  return remember(mat, ["granite"]);
+}
+
+export function groundMaterial() {
+  const mat = new THREE.MeshStandardMaterial({ map: makeGridTexture(), roughness: 0.95, metalness: 0.0, color: 0x555a64 });
+  mat.name = "Ground";
+  return mat;
+}
+
+export function waterMaterial() {
+  const mat = new THREE.MeshStandardMaterial({ color: 0x264c5a, roughness: 0.7, metalness: 0.05, transparent: true, opacity: 0.9 });
+  mat.name = "Water";
+  return remember(mat, ["water"]);
+}
+
+// Entries held by the material and texture caches, for the resource report.
+export function cacheSizes() {
+  return { materials: materialCache.size, textures: textureCache.size };
+}
+
+// [factory, ...args] for a material made by this module, or undefined.
+export function materialSource(mat) {
+  return materialSources.get(mat);
+}
+
+export function materialFromSource([name, ...args]) {
+  if (name === "granite") return graniteMaterial();
+  if (name === "water") return waterMaterial();
+  return materials[name](...args);
+}
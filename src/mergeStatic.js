@@ -0,0 +1,142 @@
+import * as THREE from "three";
+import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+import { geometryView, viewBase, disposeView } from "./resources.js";
+
+// Draw-call reduction for a finished tower: every plain mesh is baked into one geometry per
+// material. Instanced meshes (columns, beads, rails, sculptures) and multi-material meshes stay as
+// they are. Each merged mesh keeps `userData.mergedParts`, the index ranges contributed by each
+// named layer ("Tier3_Step1", "Base", "Crown/ShalaVault", ...), so picking can name the layer under
+// a hit and layers can still be hidden one by one.
+
+// Path of named nodes from below `root` down to `obj`, e.g. "Tier3_Step1" or "Crown/GableEast".
+function partPath(obj, root) {
+  const names = [];
+  for (let node = obj; node && node !== root; node = node.parent) {
+    if (node.name) names.unshift(node.name);
+  }
+  return names.join("/") || "Tower";
+}
+
+// Indexed copy with exactly position/normal/uv, baked into root space.
+function prepare(mesh, matrix) {
+  const src = mesh.geometry;
+  const geo = new THREE.BufferGeometry();
+  const count = src.attributes.position.count;
+  geo.setAttribute("position", src.attributes.position.clone());
+  if (src.attributes.normal) geo.setAttribute("normal", src.attributes.normal.clone());
+  else geo.setAttribute("normal", new THREE.Float32BufferAttribute(new Float32Array(count * 3), 3));
+  if (src.attributes.uv) geo.setAttribute("uv", src.attributes.uv.clone());
+  else geo.setAttribute("uv", new THREE.Float32BufferAttribute(new Float32Array(count * 2), 2));
+  const index = src.index ? Array.from(src.index.array) : Array.from({ length: count }, (_, i) => i);
+  // A mirroring transform turns faces inside out unless the winding is reversed too.
+  if (matrix.determinant() < 0) {
+    for (let i = 0; i < index.length; i += 3) [index[i + 1], index[i + 2]] = [index[i + 2], index[i + 1]];
+  }
+  geo.setIndex(index);
+  geo.applyMatrix4(matrix);
+  if (!src.attributes.normal) geo.computeVertexNormals();
+  return geo;
+}
+
+export function mergeStaticMeshes(root) {
+  root.updateMatrixWorld(true);
+  const toRoot = root.matrixWorld.clone().invert();
+  const buckets = new Map();
+  const merged = [];
+  root.traverse(obj => {
+    if (!obj.isMesh || obj.isInstancedMesh || !obj.visible || Array.isArray(obj.material)) return;
+    if (!obj.geometry.attributes.position) return;
+    if (!buckets.has(obj.material)) buckets.set(obj.material, []);
+    buckets.get(obj.material).push({ mesh: obj, name: partPath(obj, root) });
+    merged.push(obj);
+  });
+
+  // matrixWorld stays as computed above, so meshes can be detached before baking.
+  merged.forEach(mesh => mesh.removeFromParent());
+  // Layers emptied by the merge go too; ones still holding instanced rows stay for toggling.
+  const prune = obj => {
+    obj.children.slice().forEach(prune);
+    if (obj !== root && !obj.isMesh && !obj.children.length) obj.removeFromParent();
+  };
+  prune(root);
+
+  for (const [material, entries] of buckets) {
+    const matrix = new THREE.Matrix4();
+    const parts = [];
+    let start = 0;
+    const geos = entries.map(({ mesh, name }) => {
+      const geo = prepare(mesh, matrix.multiplyMatrices(toRoot, mesh.matrixWorld));
+      const count = geo.index.count;
+      const last = parts[parts.length - 1];
+      // Meshes of one layer come out of the traversal together; keep one range per layer.
+      if (last && last.name === name) last.count += count;
+      else parts.push({ name, start, count });
+      start += count;
+      return geo;
+    });
+    const mesh = new THREE.Mesh(mergeGeometries(geos, false), material);
+    geos.forEach(geo => geo.dispose());
+    mesh.name = `Merged_${material.name || "Material"}`;
+    mesh.userData.mergedParts = parts;
+    root.add(mesh);
+  }
+  return root;
+}
+
+// Layer name under a raycast hit: the merged range holding the hit face, or the hit object's path.
+export function partAt(intersection, root) {
+  const { object, faceIndex } = intersection;
+  const parts = object.userData.mergedParts;
+  if (!parts || faceIndex == null) return partPath(object, root);
+  const hidden = new Set(object.userData.hiddenParts || []);
+  // While parts are hidden the index holds only the visible ranges, packed in order.
+  let offset = 0;
+  for (const part of parts) {
+    if (hidden.has(part.name)) continue;
+    if (faceIndex * 3 < offset + part.count) return part.name;
+    offset += part.count;
+  }
+  return partPath(object, root);
+}
+
+// Hides exactly the layers whose names pass `isHidden` and shows the rest: merged meshes repack
+// their index over the shared vertex buffers, unmerged instanced rows switch visibility.
+export function hideParts(root, isHidden) {
+  root.traverse(obj => {
+    const parts = obj.userData.mergedParts;
+    if (parts) {
+      const hidden = new Set(parts.map(part => part.name).filter(isHidden));
+      const before = obj.userData.hiddenParts || [];
+      if (before.length !== hidden.size || before.some(name => !hidden.has(name))) applyHidden(obj, hidden);
+      return;
+    }
+    if (obj === root || !(obj.isInstancedMesh || obj.children.some(c => c.isInstancedMesh))) return;
+    if (isHidden(partPath(obj, root))) {
+      obj.visible = false;
+      obj.userData.layerHidden = true;
+    } else if (obj.userData.layerHidden) {
+      obj.visible = true;
+      delete obj.userData.layerHidden;
+    }
+  });
+}
+
+function applyHidden(mesh, hidden) {
+  const full = viewBase(mesh.geometry) || mesh.geometry;
+  if (mesh.geometry !== full) disposeView(mesh.geometry);
+  mesh.userData.hiddenParts = [...hidden];
+  if (!hidden.size) {
+    mesh.geometry = full;
+    return;
+  }
+  const src = full.index.array;
+  const keep = mesh.userData.mergedParts.filter(part => !hidden.has(part.name));
+  const index = new src.constructor(keep.reduce((n, part) => n + part.count, 0));
+  let offset = 0;
+  keep.forEach(part => {
+    index.set(src.subarray(part.start, part.start + part.count), offset);
+    offset += part.count;
+  });
+  // Own index, shared vertex buffers: other clones of the tower keep their layers.
+  mesh.geometry = geometryView(full, new THREE.BufferAttribute(index, 1));
+}
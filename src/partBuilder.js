@@ -0,0 +1,176 @@
+import { buildPart } from "./buildTemple.js";
+import { setTextureSeed } from "./materials.js";
+import { deserializeObject } from "./sceneTransfer.js";
+import { retain, release } from "./resources.js";
+
+// Builds complex parts (see buildTemple.js) in a Web Worker, one at a time, and keeps each finished
+// part as a template that the scene clones. Work a newer design no longer needs is dropped from the
+// queue, and a stale part mid-build is abandoned by restarting the worker. Where the worker cannot
+// start, or does not report ready in time, parts are built on the main thread one per task instead,
+// so the page still responds between parts.
+
+const WORKER_START_TIMEOUT = 15000; // ms
+let workerSource = null;
+
+// Module workers do not see the page import map, and every module the worker loads imports "three"
+// by name. The worker therefore starts as a classic script that loads es-module-shims, hands it the
+// page's import map and imports buildWorker.js through it.
+function workerURL() {
+  if (workerSource) return workerSource;
+  const script = document.querySelector('script[type="importmap"]');
+  const map = script ? JSON.parse(script.textContent) : { imports: {} };
+  // Map addresses are relative to the page; the worker script is a blob URL.
+  for (const [name, address] of Object.entries(map.imports)) map.imports[name] = new URL(address, document.baseURI).href;
+  const shims = import.meta.resolve("es-module-shims");
+  const entry = new URL("./buildWorker.js", import.meta.url).href;
+  const source = [
+    `importScripts(${JSON.stringify(shims)});`,
+    `importShim.addImportMap(${JSON.stringify(map)});`,
+    // Rethrown outside the promise so the page sees it as the worker's error event.
+    `importShim(${JSON.stringify(entry)}).catch(err => setTimeout(() => { throw err; }));`
+  ].join("\n");
+  workerSource = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+  return workerSource;
+}
+
+export function createPartBuilder({ onReady, onError }) {
+  const templates = new Map();
+  const queue = [];
+  const waiting = new Set(); // keys queued or being built
+  let current = null;
+  // Parts are only posted once the worker's modules have loaded; messages sent earlier would be lost.
+  let workerReady = false;
+  let worker = startWorker();
+
+  function startWorker() {
+    workerReady = false;
+    if (typeof Worker === "undefined") return null;
+    try {
+      const w = new Worker(workerURL());
+      const timer = setTimeout(() => fallBack(w, "it did not start"), WORKER_START_TIMEOUT);
+      w.onmessage = ({ data }) => {
+        if (data.ready) {
+          clearTimeout(timer);
+          workerReady = true;
+          pump();
+          return;
+        }
+        if (!current || data.key !== current.key) return;
+        if (data.error) fail(current, new Error(data.error));
+        else {
+          setTextureSeed(current.seed);
+          finish(current, deserializeObject(data.payload));
+        }
+      };
+      w.onerror = evt => {
+        evt.preventDefault();
+        clearTimeout(timer);
+        fallBack(w, evt.message);
+      };
+      return w;
+    } catch (err) {
+      console.warn("Build worker unavailable, building on the main thread:", err.message);
+      return null;
+    }
+  }
+
+  function fallBack(w, reason) {
+    w.terminate();
+    if (worker !== w) return;
+    console.warn("Build worker unavailable, building on the main thread:", reason);
+    worker = null;
+    if (current) queue.unshift(current);
+    current = null;
+    pump();
+  }
+
+  function pump() {
+    if (current || !queue.length) return;
+    if (worker && !workerReady) return;
+    const part = queue.shift();
+    current = part;
+    if (worker) {
+      worker.postMessage(part);
+      return;
+    }
+    setTimeout(() => {
+      if (current !== part) return;
+      try {
+        finish(part, buildPart(part));
+      } catch (err) {
+        fail(part, err);
+      }
+    }, 0);
+  }
+
+  function finish(part, object) {
+    current = null;
+    waiting.delete(part.key);
+    templates.set(part.key, retain(object));
+    onReady(part.key);
+    pump();
+  }
+
+  function fail(part, err) {
+    current = null;
+    waiting.delete(part.key);
+    onError(err, part.key);
+    pump();
+  }
+
+  // Queues the parts that are not built yet; true when every one is ready now.
+  function request(parts) {
+    let ready = true;
+    parts.forEach(part => {
+      if (templates.has(part.key)) return;
+      ready = false;
+      if (waiting.has(part.key)) return;
+      waiting.add(part.key);
+      queue.push(part);
+    });
+    pump();
+    return ready;
+  }
+
+  return {
+    // Where parts are being built, for the perf overlay.
+    get mode() {
+      return worker ? (workerReady ? "in the worker" : "once the worker starts") : "on the main thread";
+    },
+    has: key => templates.has(key),
+    request,
+    // New instance of a built part (sharing its geometry), or null after queueing the build. The
+    // instance is retained for the caller, who releases it (resources.js) with the scene holding it.
+    resolve(part) {
+      const template = templates.get(part.key);
+      if (template) return retain(template.clone());
+      request([part]);
+      return null;
+    },
+    // Cancels queued and in-flight builds whose keys are not in `keys`.
+    focus(keys) {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (keys.has(queue[i].key)) continue;
+        waiting.delete(queue[i].key);
+        queue.splice(i, 1);
+      }
+      if (current && !keys.has(current.key)) {
+        waiting.delete(current.key);
+        current = null;
+        if (worker) {
+          worker.terminate();
+          worker = startWorker();
+        }
+        pump();
+      }
+    },
+    // Drops templates whose keys are not in `keys`; their resources go once no scene holds them.
+    evict(keys) {
+      for (const [key, template] of templates) {
+        if (keys.has(key)) continue;
+        release(template);
+        templates.delete(key);
+      }
+    }
+  };
+}
@@ -0,0 +1,37 @@
+// Frame and build statistics shown under #overlay: the last rebuild time, where parts are built,
+// what the renderer drew in the last frame and which detail level each cached LOD is showing. Off
+// until enabled.
+export function createPerfOverlay(element, { interval = 250 } = {}) {
+  let lastUpdate = 0;
+
+  const overlay = {
+    enabled: false,
+    setEnabled(on) {
+      overlay.enabled = on;
+      element.style.display = on ? "block" : "none";
+      lastUpdate = 0;
+    },
+    // Call right after renderer.render: renderer.info is reset at the start of every frame.
+    // `describe` is only asked for the build figures when the text is due for a refresh.
+    update(info, describe) {
+      const now = performance.now();
+      if (!overlay.enabled || now - lastUpdate < interval) return;
+      lastUpdate = now;
+      const { rebuild, builder, signature } = describe();
+      const counts = {};
+      signature.split(",").filter(Boolean).forEach(level => (counts[level] = (counts[level] || 0) + 1));
+      const lines = [
+        rebuild
+          ? `rebuild ${rebuild.ms.toFixed(1)} ms (assembly ${rebuild.assembleMs.toFixed(1)} ms, ${rebuild.built}/${rebuild.parts} parts built)`
+          : "rebuild -",
+        `parts built ${builder}`,
+        `draw calls ${info.render.calls}, triangles ${info.render.triangles.toLocaleString()}`,
+        `geometries ${info.memory.geometries}, textures ${info.memory.textures}`,
+        `LOD ${Object.entries(counts).map(([level, n]) => `${level} x${n}`).join(", ") || "-"}`,
+        signature
+      ];
+      element.textContent = lines.join("\n");
+    }
+  };
+  return overlay;
+}
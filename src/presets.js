@@ -0,0 +1,206 @@
+import { clampState, defaultState } from "./state.js";
+import { MAX_BOOKMARKS, MAX_PATH_KEYS, MAX_PATH_TIME } from "./cameraPath.js";
+
+// Versioned design files: the full state (including profilePoints) plus an optional camera and
+// optional camera bookmarks with a flythrough through them (cameraPath.js).
+export const DESIGN_FORMAT = "parametric_tower/design";
+export const DESIGN_VERSION = 1;
+const LIBRARY_KEY = "parametric_tower.presets";
+
+const round = (v, digits) => Number(v.toFixed(digits));
+
+const plainPoints = points => points.map(p => [round(p.x, 6), round(p.y, 6)]);
+
+function plainState(state) {
+  const clean = clampState(state);
+  return {
+    ...clean,
+    profilePoints: plainPoints(clean.profilePoints),
+    profileKeyframes: clean.profileKeyframes.map(k => ({ t: round(k.t, 4), points: plainPoints(k.points) }))
+  };
+}
+
+function cameraToJSON(camera) {
+  if (!camera) return undefined;
+  return {
+    position: camera.position.map(v => round(v, 2)),
+    target: camera.target.map(v => round(v, 2)),
+    fov: round(camera.fov, 2)
+  };
+}
+
+function cameraFromJSON(raw) {
+  if (!raw) return null;
+  const vec = v => (Array.isArray(v) && v.length === 3 && v.every(Number.isFinite) ? v.slice() : null);
+  const position = vec(raw.position);
+  const target = vec(raw.target);
+  if (!position || !target) return null;
+  const fov = Number.isFinite(raw.fov) ? Math.min(120, Math.max(10, raw.fov)) : 45;
+  return { position, target, fov };
+}
+
+// Names are trimmed and unique; unusable entries are dropped rather than failing the design.
+function bookmarksFromJSON(raw) {
+  if (!Array.isArray(raw)) return [];
+  const bookmarks = [];
+  raw.forEach(entry => {
+    const name = entry && typeof entry.name === "string" ? entry.name.trim() : "";
+    const cam = cameraFromJSON(entry);
+    if (!name || !cam || bookmarks.some(b => b.name === name) || bookmarks.length >= MAX_BOOKMARKS) return;
+    bookmarks.push({ name, ...cam });
+  });
+  return bookmarks;
+}
+
+// Keys must name one of `bookmarks`; they come back sorted by time.
+function flythroughFromJSON(raw, bookmarks) {
+  const keys = (raw && Array.isArray(raw.keys) ? raw.keys : [])
+    .filter(k => k && bookmarks.some(b => b.name === k.bookmark) && Number.isFinite(k.time))
+    .slice(0, MAX_PATH_KEYS)
+    .map(k => ({ bookmark: k.bookmark, time: Math.min(MAX_PATH_TIME, Math.max(0, k.time)) }))
+    .sort((a, b) => a.time - b.time);
+  return { keys, loop: Boolean(raw && raw.loop) };
+}
+
+// camera: { position: [x, y, z], target: [x, y, z], fov } or null.
+// views: { bookmarks: [{ name, ...camera }], flythrough: { keys: [{ bookmark, time }], loop } } or null.
+export function serializeDesign(state, camera = null, views = null) {
+  const design = { format: DESIGN_FORMAT, version: DESIGN_VERSION, state: plainState(state) };
+  const cam = cameraToJSON(camera);
+  if (cam) design.camera = cam;
+  if (views && views.bookmarks.length) {
+    design.bookmarks = views.bookmarks.map(b => ({ name: b.name, ...cameraToJSON(b) }));
+    design.flythrough = {
+      keys: views.flythrough.keys.map(k => ({ bookmark: k.bookmark, time: round(k.time, 3) })),
+      loop: views.flythrough.loop
+    };
+  }
+  return design;
+}
+
+// Accepts a design object (or a bare state object) and returns a clamped
+// { state, camera, bookmarks, flythrough }.
+export function parseDesign(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Design must be a JSON object");
+  if (raw.format !== undefined && raw.format !== DESIGN_FORMAT) throw new Error(`Unknown design format ${raw.format}`);
+  if (typeof raw.version === "number" && raw.version > DESIGN_VERSION) {
+    throw new Error(`Design version ${raw.version} is newer than supported (${DESIGN_VERSION})`);
+  }
+  const source = raw.format ? raw.state : raw;
+  if (!source || typeof source !== "object") throw new Error("Design has no state");
+  const bookmarks = bookmarksFromJSON(raw.bookmarks);
+  return {
+    state: clampState(source),
+    camera: cameraFromJSON(raw.camera),
+    bookmarks,
+    flythrough: flythroughFromJSON(raw.flythrough, bookmarks)
+  };
+}
+
+export function designToFile(state, camera, views = null) {
+  return JSON.stringify(serializeDesign(state, camera, views), null, 2);
+}
+
+export function designFromFile(text) {
+  return parseDesign(JSON.parse(text));
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach(b => {
+    bin += String.fromCharCode(b);
+  });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// Compact hash: only values that differ from the defaults, camera packed as [px, py, pz, tx, ty, tz, fov];
+// bookmarks as [name, ...packed camera] and flythrough keys as [bookmark index, time].
+export function encodeDesignHash(state, camera = null, views = null) {
+  const full = plainState(state);
+  const defaults = plainState(defaultState);
+  const diff = {};
+  Object.keys(full).forEach(key => {
+    if (JSON.stringify(full[key]) !== JSON.stringify(defaults[key])) diff[key] = full[key];
+  });
+  const payload = { v: DESIGN_VERSION, s: diff };
+  const cam = cameraToJSON(camera);
+  if (cam) payload.c = [...cam.position, ...cam.target, cam.fov];
+  if (views && views.bookmarks.length) {
+    const names = views.bookmarks.map(b => b.name);
+    payload.b = views.bookmarks.map(b => {
+      const packed = cameraToJSON(b);
+      return [b.name, ...packed.position, ...packed.target, packed.fov];
+    });
+    payload.f = views.flythrough.keys.map(k => [names.indexOf(k.bookmark), round(k.time, 3)]);
+    if (views.flythrough.loop) payload.l = 1;
+  }
+  return `#d=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+export function decodeDesignHash(hash) {
+  const match = /[#&]d=([A-Za-z0-9_-]+)/.exec(hash || "");
+  if (!match) return null;
+  const payload = JSON.parse(fromBase64Url(match[1]));
+  const c = Array.isArray(payload.c) ? payload.c : null;
+  const camera = c && c.length === 7 ? { position: c.slice(0, 3), target: c.slice(3, 6), fov: c[6] } : undefined;
+  const bookmarks = (Array.isArray(payload.b) ? payload.b : [])
+    .filter(b => Array.isArray(b) && b.length === 8)
+    .map(b => ({ name: b[0], position: b.slice(1, 4), target: b.slice(4, 7), fov: b[7] }));
+  const keys = (Array.isArray(payload.f) ? payload.f : [])
+    .filter(k => Array.isArray(k) && bookmarks[k[0]])
+    .map(k => ({ bookmark: bookmarks[k[0]].name, time: k[1] }));
+  const flythrough = { keys, loop: payload.l === 1 };
+  return parseDesign({ format: DESIGN_FORMAT, version: payload.v, state: payload.s || {}, camera, bookmarks, flythrough });
+}
+
+function storage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+export function loadLibrary() {
+  const store = storage();
+  if (!store) return {};
+  try {
+    const raw = JSON.parse(store.getItem(LIBRARY_KEY) || "{}");
+    return raw && typeof raw === "object" ? raw : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeLibrary(library) {
+  const store = storage();
+  if (store) store.setItem(LIBRARY_KEY, JSON.stringify(library));
+}
+
+export function listPresets() {
+  return Object.keys(loadLibrary()).sort((a, b) => a.localeCompare(b));
+}
+
+export function savePreset(name, state, camera = null, views = null) {
+  const library = loadLibrary();
+  library[name] = serializeDesign(state, camera, views);
+  writeLibrary(library);
+}
+
+export function loadPreset(name) {
+  const entry = loadLibrary()[name];
+  return entry ? parseDesign(entry) : null;
+}
+
+export function deletePreset(name) {
+  const library = loadLibrary();
+  delete library[name];
+  writeLibrary(library);
+}
@@ -0,0 +1,287 @@
+// Direct-manipulation editor for the tier footprint profile, drawn on the Profile folder canvas.
+// Drag a vertex to move it, click an edge to insert a point (Shift+click forces an insert next to
+// a vertex on short edges), double-click or right-click a vertex to delete it. Coincident vertices (the default plan retraces its start) move together, and the
+// optional X/Y mirror keeps symmetric partners in step.
+
+const HIT_VERTEX = 6; // px
+const HIT_EDGE = 6; // px
+const MIN_POINTS = 3;
+
+export function createProfileEditor(canvas, { getPoints, setPoints, onEdit, onCommit }) {
+  const options = { snap: 0, mirrorX: false, mirrorY: false };
+  let view = null;
+  let drag = null;
+  let hover = -1;
+
+  function fitView(points) {
+    const w = canvas.width;
+    const h = canvas.height;
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    points.forEach(p => {
+      minX = Math.min(minX, p.x);
+      maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y);
+      maxY = Math.max(maxY, p.y);
+    });
+    const spanX = Math.max(1e-3, maxX - minX);
+    const spanY = Math.max(1e-3, maxY - minY);
+    return {
+      scale: 0.8 * Math.min(w / spanX, h / spanY),
+      cx: (minX + maxX) / 2,
+      cy: (minY + maxY) / 2,
+      span: Math.max(spanX, spanY)
+    };
+  }
+
+  const toCanvas = (p, v) => ({
+    x: canvas.width / 2 + (p.x - v.cx) * v.scale,
+    y: canvas.height / 2 - (p.y - v.cy) * v.scale
+  });
+  const toProfile = (c, v) => ({
+    x: v.cx + (c.x - canvas.width / 2) / v.scale,
+    y: v.cy - (c.y - canvas.height / 2) / v.scale
+  });
+
+  function eventPos(evt) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((evt.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((evt.clientY - rect.top) * canvas.height) / rect.height
+    };
+  }
+
+  const snap = v => (options.snap > 0 ? Math.round(v / options.snap) * options.snap : v);
+
+  function findVertex(points, pos, v) {
+    let best = -1;
+    let bestD = HIT_VERTEX;
+    points.forEach((p, idx) => {
+      const c = toCanvas(p, v);
+      const d = Math.hypot(c.x - pos.x, c.y - pos.y);
+      if (d < bestD) {
+        best = idx;
+        bestD = d;
+      }
+    });
+    return best;
+  }
+
+  function findEdge(points, pos, v) {
+    let best = null;
+    let bestD = HIT_EDGE;
+    for (let i = 0; i < points.length; i++) {
+      const a = toCanvas(points[i], v);
+      const b = toCanvas(points[(i + 1) % points.length], v);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      if (len2 < 1e-6) continue;
+      const t = Math.min(1, Math.max(0, ((pos.x - a.x) * dx + (pos.y - a.y) * dy) / len2));
+      const d = Math.hypot(a.x + dx * t - pos.x, a.y + dy * t - pos.y);
+      if (d < bestD) {
+        best = { index: i, t };
+        bestD = d;
+      }
+    }
+    return best;
+  }
+
+  const near = (a, b, tol) => Math.abs(a.x - b.x) < tol && Math.abs(a.y - b.y) < tol;
+
+  // Mirror transforms about the view centre; each returns a function mapping a point to its partner.
+  function mirrors(v) {
+    const list = [];
+    if (options.mirrorX) list.push(p => ({ x: 2 * v.cx - p.x, y: p.y }));
+    if (options.mirrorY) list.push(p => ({ x: p.x, y: 2 * v.cy - p.y }));
+    if (options.mirrorX && options.mirrorY) list.push(p => ({ x: 2 * v.cx - p.x, y: 2 * v.cy - p.y }));
+    return list;
+  }
+
+  // Indices that should move with `index`, each with the transform mapping the dragged point onto it.
+  function linkedVertices(points, index, v) {
+    const tol = v.span * 1e-4;
+    const origin = points[index];
+    const links = [];
+    const transforms = [p => p, ...mirrors(v)];
+    transforms.forEach(fn => {
+      const target = fn(origin);
+      points.forEach((p, idx) => {
+        if (near(p, target, tol) && !links.some(l => l.index === idx)) links.push({ index: idx, fn });
+      });
+    });
+    return links;
+  }
+
+  function draw() {
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    const points = getPoints();
+    if (!points || points.length < 2) return;
+    const v = drag ? drag.view : fitView(points);
+    view = v;
+
+    if (options.snap > 0 && options.snap * v.scale >= 4) {
+      ctx.strokeStyle = "rgba(255,255,255,0.05)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      const min = toProfile({ x: 0, y: h }, v);
+      const max = toProfile({ x: w, y: 0 }, v);
+      for (let x = Math.ceil(min.x / options.snap) * options.snap; x <= max.x; x += options.snap) {
+        const c = toCanvas({ x, y: 0 }, v);
+        ctx.moveTo(c.x, 0);
+        ctx.lineTo(c.x, h);
+      }
+      for (let y = Math.ceil(min.y / options.snap) * options.snap; y <= max.y; y += options.snap) {
+        const c = toCanvas({ x: 0, y }, v);
+        ctx.moveTo(0, c.y);
+        ctx.lineTo(w, c.y);
+      }
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = "rgba(255,255,255,0.08)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, h / 2);
+    ctx.lineTo(w, h / 2);
+    ctx.moveTo(w / 2, 0);
+    ctx.lineTo(w / 2, h);
+    ctx.stroke();
+
+    ctx.strokeStyle = "rgba(255,255,255,0.9)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((p, idx) => {
+      const c = toCanvas(p, v);
+      if (idx === 0) ctx.moveTo(c.x, c.y);
+      else ctx.lineTo(c.x, c.y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+
+    points.forEach((p, idx) => {
+      const c = toCanvas(p, v);
+      const active = drag ? drag.links.some(l => l.index === idx) : idx === hover;
+      ctx.fillStyle = active ? "#ffcc66" : "rgba(255,255,255,0.75)";
+      const r = active ? 4 : 2.5;
+      ctx.fillRect(c.x - r, c.y - r, r * 2, r * 2);
+    });
+  }
+
+  function startDrag(points, index, v) {
+    drag = { view: v, links: linkedVertices(points, index, v), changed: false };
+  }
+
+  function insertOnEdge(points, edge, v) {
+    const a = points[edge.index];
+    const b = points[(edge.index + 1) % points.length];
+    const p = { x: snap(a.x + (b.x - a.x) * edge.t), y: snap(a.y + (b.y - a.y) * edge.t) };
+    const next = points.map(q => ({ ...q }));
+    // Coincident (retraced) and mirrored edges get a partner point too;
+    // splicing from the highest index keeps the indices valid.
+    const tol = v.span * 1e-4;
+    const inserts = [{ at: edge.index + 1, point: p }];
+    [q => q, ...mirrors(v)].forEach(fn => {
+      const ma = fn(a);
+      const mb = fn(b);
+      for (let i = 0; i < points.length; i++) {
+        const qa = points[i];
+        const qb = points[(i + 1) % points.length];
+        const match = (near(qa, ma, tol) && near(qb, mb, tol)) || (near(qa, mb, tol) && near(qb, ma, tol));
+        if (match && i !== edge.index && !inserts.some(ins => ins.at === i + 1)) {
+          inserts.push({ at: i + 1, point: { ...fn(p) } });
+        }
+      }
+    });
+    inserts.sort((x, y) => y.at - x.at).forEach(ins => next.splice(ins.at, 0, ins.point));
+    setPoints(next);
+    return next.indexOf(p);
+  }
+
+  function deleteVertex(index) {
+    const points = getPoints();
+    const v = view || fitView(points);
+    const remove = new Set(linkedVertices(points, index, v).map(l => l.index));
+    if (points.length - remove.size < MIN_POINTS) return;
+    setPoints(points.filter((_, idx) => !remove.has(idx)).map(q => ({ ...q })));
+    onEdit();
+    onCommit();
+  }
+
+  canvas.addEventListener("pointerdown", evt => {
+    if (evt.button !== 0) return;
+    const points = getPoints();
+    if (!points || !points.length) return;
+    const v = fitView(points);
+    const pos = eventPos(evt);
+    let index = evt.shiftKey ? -1 : findVertex(points, pos, v);
+    if (index < 0) {
+      const edge = findEdge(points, pos, v);
+      if (!edge) return;
+      index = insertOnEdge(points, edge, v);
+      onEdit();
+      startDrag(getPoints(), index, v);
+      drag.changed = true;
+    } else {
+      startDrag(points, index, v);
+    }
+    canvas.setPointerCapture(evt.pointerId);
+    evt.preventDefault();
+    draw();
+  });
+
+  canvas.addEventListener("pointermove", evt => {
+    const pos = eventPos(evt);
+    if (!drag) {
+      const points = getPoints();
+      const next = points && points.length ? findVertex(points, pos, view || fitView(points)) : -1;
+      if (next !== hover) {
+        hover = next;
+        canvas.style.cursor = hover >= 0 ? "grab" : "crosshair";
+        draw();
+      }
+      return;
+    }
+    const raw = toProfile(pos, drag.view);
+    const p = { x: snap(raw.x), y: snap(raw.y) };
+    const next = getPoints().map(q => ({ ...q }));
+    drag.links.forEach(({ index, fn }) => {
+      next[index] = fn(p);
+    });
+    setPoints(next);
+    drag.changed = true;
+    onEdit();
+  });
+
+  const endDrag = evt => {
+    if (!drag) return;
+    if (canvas.hasPointerCapture(evt.pointerId)) canvas.releasePointerCapture(evt.pointerId);
+    const changed = drag.changed;
+    drag = null;
+    draw();
+    if (changed) onCommit();
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  const deleteAt = evt => {
+    const points = getPoints();
+    if (!points || !points.length) return;
+    const index = findVertex(points, eventPos(evt), view || fitView(points));
+    if (index < 0) return;
+    evt.preventDefault();
+    deleteVertex(index);
+  };
+  canvas.addEventListener("dblclick", deleteAt);
+  canvas.addEventListener("contextmenu", deleteAt);
+
+  canvas.style.cursor = "crosshair";
+  canvas.style.touchAction = "none";
+
+  return { options, draw };
+}
@@ -0,0 +1,456 @@
+import { defaultProfile, cloneProfile } from "./state.js";
+import { closedLoop } from "./profileMorph.js";
+
+// Import/export of tier footprint profiles as SVG paths and DXF polylines (LWPOLYLINE or R12
+// POLYLINE in, R12 POLYLINE out).
+// Curves are flattened to polylines; `tolerance` is the maximum chord error in drawing units.
+
+const MAX_DEPTH = 12;
+
+function spanOf(points) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  points.forEach(p => {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y);
+    maxY = Math.max(maxY, p.y);
+  });
+  return { minX, maxX, minY, maxY, cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, w: maxX - minX, h: maxY - minY };
+}
+
+function signedArea(points) {
+  let a = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a / 2;
+}
+
+// Centre on the bounding box, scale to the default profile's span and wind counter-clockwise,
+// mirroring what profileToShape does at build time so the plot and textarea stay readable.
+export function normalizeProfile(points) {
+  const pts = [];
+  points.forEach(p => {
+    const prev = pts[pts.length - 1];
+    if (!prev || Math.abs(prev.x - p.x) > 1e-9 || Math.abs(prev.y - p.y) > 1e-9) pts.push({ x: p.x, y: p.y });
+  });
+  if (pts.length > 2) {
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    if (Math.abs(first.x - last.x) < 1e-9 && Math.abs(first.y - last.y) < 1e-9) pts.pop();
+  }
+  if (pts.length < 3) throw new Error("Profile needs at least three distinct points");
+  const ref = spanOf(cloneProfile(defaultProfile));
+  const box = spanOf(pts);
+  const scale = Math.max(ref.w, ref.h) / Math.max(1e-9, box.w, box.h);
+  const out = pts.map(p => ({ x: (p.x - box.cx) * scale, y: (p.y - box.cy) * scale }));
+  if (signedArea(out) < 0) out.reverse();
+  return out;
+}
+
+function flattenCubic(out, p0, p1, p2, p3, tol, depth = 0) {
+  // Flat enough when both control points sit within tol of the chord.
+  const dx = p3.x - p0.x;
+  const dy = p3.y - p0.y;
+  const len = Math.hypot(dx, dy) || 1e-9;
+  const d1 = Math.abs((p1.x - p3.x) * dy - (p1.y - p3.y) * dx) / len;
+  const d2 = Math.abs((p2.x - p3.x) * dy - (p2.y - p3.y) * dx) / len;
+  if (depth >= MAX_DEPTH || Math.max(d1, d2) <= tol) {
+    out.push({ x: p3.x, y: p3.y });
+    return;
+  }
+  const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  const p01 = mid(p0, p1);
+  const p12 = mid(p1, p2);
+  const p23 = mid(p2, p3);
+  const p012 = mid(p01, p12);
+  const p123 = mid(p12, p23);
+  const m = mid(p012, p123);
+  flattenCubic(out, p0, p01, p012, m, tol, depth + 1);
+  flattenCubic(out, m, p123, p23, p3, tol, depth + 1);
+}
+
+function flattenQuadratic(out, p0, p1, p2, tol) {
+  const c1 = { x: p0.x + ((p1.x - p0.x) * 2) / 3, y: p0.y + ((p1.y - p0.y) * 2) / 3 };
+  const c2 = { x: p2.x + ((p1.x - p2.x) * 2) / 3, y: p2.y + ((p1.y - p2.y) * 2) / 3 };
+  flattenCubic(out, p0, c1, c2, p2, tol);
+}
+
+function arcSegments(radius, sweep, tol) {
+  const step = radius > tol ? 2 * Math.acos(Math.max(-1, 1 - tol / radius)) : Math.PI / 2;
+  return Math.max(1, Math.ceil(Math.abs(sweep) / Math.max(1e-3, step)));
+}
+
+function flattenCircleArc(out, cx, cy, rx, ry, phi, start, sweep, tol) {
+  const n = arcSegments(Math.max(rx, ry), sweep, tol);
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  for (let i = 1; i <= n; i++) {
+    const t = start + (sweep * i) / n;
+    const x = rx * Math.cos(t);
+    const y = ry * Math.sin(t);
+    out.push({ x: cx + x * cos - y * sin, y: cy + x * sin + y * cos });
+  }
+}
+
+// SVG elliptical arc, endpoint parameterisation (SVG 1.1 implementation notes, F.6.5).
+function flattenSvgArc(out, p0, rx, ry, angleDeg, largeArc, sweepFlag, p1, tol) {
+  if (rx === 0 || ry === 0) {
+    out.push({ x: p1.x, y: p1.y });
+    return;
+  }
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const phi = (angleDeg * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (p0.x - p1.x) / 2;
+  const dy = (p0.y - p1.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let coef = Math.sqrt(Math.max(0, num / den));
+  if (largeArc === sweepFlag) coef = -coef;
+  const cxp = (coef * rx * y1) / ry;
+  const cyp = (-coef * ry * x1) / rx;
+  const cx = cos * cxp - sin * cyp + (p0.x + p1.x) / 2;
+  const cy = sin * cxp + cos * cyp + (p0.y + p1.y) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+  let sweep = angle((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+  if (!sweepFlag && sweep > 0) sweep -= Math.PI * 2;
+  else if (sweepFlag && sweep < 0) sweep += Math.PI * 2;
+  flattenCircleArc(out, cx, cy, rx, ry, phi, start, sweep, tol);
+  out[out.length - 1] = { x: p1.x, y: p1.y };
+}
+
+// Returns the subpaths of an SVG path `d` string as point lists (y still pointing down).
+export function flattenSvgPath(d, tolerance = 0.5) {
+  const tokens = d.match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const subpaths = [];
+  let current = null;
+  let pos = { x: 0, y: 0 };
+  let start = { x: 0, y: 0 };
+  let lastCtrl = null;
+  let lastCmd = "";
+  let i = 0;
+  const num = () => Number(tokens[i++]);
+
+  while (i < tokens.length) {
+    let cmd = tokens[i];
+    if (/^[a-z]$/i.test(cmd)) i++;
+    else if (lastCmd) cmd = lastCmd === "M" ? "L" : lastCmd === "m" ? "l" : lastCmd;
+    else throw new Error("SVG path must start with a command");
+    const rel = cmd === cmd.toLowerCase();
+    const C = cmd.toUpperCase();
+    const abs = (x, y) => (rel ? { x: pos.x + x, y: pos.y + y } : { x, y });
+
+    if (C === "Z") {
+      if (current) current.closed = true;
+      pos = { ...start };
+      lastCtrl = null;
+      lastCmd = cmd;
+      continue;
+    }
+    if (C === "M") {
+      pos = abs(num(), num());
+      start = { ...pos };
+      current = { points: [{ ...pos }], closed: false };
+      subpaths.push(current);
+    } else {
+      if (!current) {
+        current = { points: [{ ...pos }], closed: false };
+        subpaths.push(current);
+      }
+      const out = current.points;
+      if (C === "L") {
+        pos = abs(num(), num());
+        out.push({ ...pos });
+        lastCtrl = null;
+      } else if (C === "H") {
+        const x = num();
+        pos = { x: rel ? pos.x + x : x, y: pos.y };
+        out.push({ ...pos });
+        lastCtrl = null;
+      } else if (C === "V") {
+        const y = num();
+        pos = { x: pos.x, y: rel ? pos.y + y : y };
+        out.push({ ...pos });
+        lastCtrl = null;
+      } else if (C === "C" || C === "S") {
+        let c1;
+        if (C === "C") c1 = abs(num(), num());
+        else c1 = lastCtrl && /[CS]/i.test(lastCmd) ? { x: 2 * pos.x - lastCtrl.x, y: 2 * pos.y - lastCtrl.y } : { ...pos };
+        const c2 = abs(num(), num());
+        const end = abs(num(), num());
+        flattenCubic(out, pos, c1, c2, end, tolerance);
+        lastCtrl = c2;
+        pos = end;
+      } else if (C === "Q" || C === "T") {
+        let c;
+        if (C === "Q") c = abs(num(), num());
+        else c = lastCtrl && /[QT]/i.test(lastCmd) ? { x: 2 * pos.x - lastCtrl.x, y: 2 * pos.y - lastCtrl.y } : { ...pos };
+        const end = abs(num(), num());
+        flattenQuadratic(out, pos, c, end, tolerance);
+        lastCtrl = c;
+        pos = end;
+      } else if (C === "A") {
+        const rx = num();
+        const ry = num();
+        const rot = num();
+        const large = num() !== 0;
+        const sweep = num() !== 0;
+        const end = abs(num(), num());
+        flattenSvgArc(out, pos, rx, ry, rot, large, sweep, end, tolerance);
+        pos = end;
+        lastCtrl = null;
+      } else {
+        throw new Error(`Unsupported SVG path command ${cmd}`);
+      }
+    }
+    lastCmd = cmd;
+  }
+  return subpaths;
+}
+
+function attr(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, "i").exec(tag);
+  return match ? match[2] ?? match[3] : null;
+}
+
+// SVG transform lists as [a, b, c, d, e, f]: x' = a x + c y + e, y' = b x + d y + f.
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+export function parseSvgTransform(text) {
+  let m = IDENTITY;
+  if (!text) return m;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/gi;
+  let match;
+  let consumed = "";
+  while ((match = re.exec(text))) {
+    consumed += match[0];
+    const args = (match[2].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+    const rad = ((args[0] || 0) * Math.PI) / 180;
+    let t;
+    switch (match[1].toLowerCase()) {
+      case "matrix":
+        if (args.length !== 6) throw new Error(`Bad SVG transform "${match[0]}"`);
+        t = args;
+        break;
+      case "translate":
+        t = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case "scale":
+        t = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case "rotate": {
+        const [cx = 0, cy = 0] = args.slice(1);
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        t = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case "skewx":
+        t = [1, 0, Math.tan(rad), 1, 0, 0];
+        break;
+      default:
+        t = [1, Math.tan(rad), 0, 1, 0, 0];
+    }
+    m = multiply(m, t);
+  }
+  // Anything left over besides separators is a transform this parser does not understand.
+  if (text.replace(re, "").replace(/[\s,]/g, "")) throw new Error(`Unsupported SVG transform "${text}"`);
+  return m;
+}
+
+const transformPoint = (m, p) => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] });
+
+function pointList(text) {
+  const nums = (text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+  const pts = [];
+  for (let i = 0; i + 1 < nums.length; i += 2) pts.push({ x: nums[i], y: nums[i + 1] });
+  return pts;
+}
+
+// First closed outline in an SVG document (path, polygon, polyline or rect), normalized. Transforms
+// on the shape and its enclosing groups are applied; curves are flattened before transforming, so
+// `tolerance` is in the shape's own units.
+export function parseSvgProfile(text, tolerance = 0.5) {
+  const candidates = [];
+  // Accumulated group transforms; a closing </g> restores its parent's.
+  const groups = [IDENTITY];
+  (text.match(/<\/?(g|path|polygon|polyline|rect)\b[^>]*>/gi) || []).forEach(tag => {
+    const kind = /^<\/?(\w+)/.exec(tag)[1].toLowerCase();
+    const parent = groups[groups.length - 1];
+    if (kind === "g") {
+      if (tag.startsWith("</")) {
+        if (groups.length > 1) groups.pop();
+      } else if (!/\/>$/.test(tag)) {
+        groups.push(multiply(parent, parseSvgTransform(attr(tag, "transform"))));
+      }
+      return;
+    }
+    const matrix = multiply(parent, parseSvgTransform(attr(tag, "transform")));
+    const add = candidate =>
+      candidates.push({ ...candidate, points: candidate.points.map(p => transformPoint(matrix, p)) });
+    if (kind === "path") {
+      const d = attr(tag, "d");
+      if (d) flattenSvgPath(d, tolerance).forEach(add);
+    } else if (kind === "rect") {
+      const x = Number(attr(tag, "x") || 0);
+      const y = Number(attr(tag, "y") || 0);
+      const w = Number(attr(tag, "width") || 0);
+      const h = Number(attr(tag, "height") || 0);
+      if (w > 0 && h > 0) {
+        add({ points: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }], closed: true });
+      }
+    } else {
+      const pts = pointList(attr(tag, "points") || "");
+      add({ points: pts, closed: kind === "polygon" });
+    }
+  });
+  const usable = candidates.filter(c => c.points.length >= 3);
+  if (!usable.length) throw new Error("No path, polygon or polyline with three or more points found in SVG");
+  const chosen = usable.find(c => c.closed) || usable[0];
+  // SVG y grows downward; flip so the plan reads the same way as in the drawing.
+  return normalizeProfile(chosen.points.map(p => ({ x: p.x, y: -p.y })));
+}
+
+function flattenBulge(out, p0, p1, bulge, tol) {
+  // DXF bulge = tan(sweep / 4); positive sweeps counter-clockwise.
+  const sweep = 4 * Math.atan(bulge);
+  const chord = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+  if (chord < 1e-12) return;
+  const radius = chord / (2 * Math.sin(Math.abs(sweep) / 2));
+  const mx = (p0.x + p1.x) / 2;
+  const my = (p0.y + p1.y) / 2;
+  // Distance from chord midpoint to centre, on the left of p0->p1 for positive bulge.
+  const sagitta = radius * Math.cos(sweep / 2);
+  const nx = -(p1.y - p0.y) / chord;
+  const ny = (p1.x - p0.x) / chord;
+  const cx = mx + nx * sagitta * Math.sign(bulge);
+  const cy = my + ny * sagitta * Math.sign(bulge);
+  const start = Math.atan2(p0.y - cy, p0.x - cx);
+  flattenCircleArc(out, cx, cy, radius, radius, 0, start, sweep, tol);
+  out.pop();
+}
+
+function dxfPairs(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push({ code: Number(lines[i].trim()), value: lines[i + 1].trim() });
+  }
+  return pairs;
+}
+
+// First closed polyline in a DXF file (or the first one if none is closed), normalized. Reads
+// LWPOLYLINE and the R12 POLYLINE ... VERTEX ... SEQEND form.
+export function parseDxfProfile(text, tolerance = 0.5) {
+  const pairs = dxfPairs(text);
+  const polylines = [];
+  let current = null;
+  // Open R12 POLYLINE collecting VERTEX entities until SEQEND.
+  let sequence = null;
+  pairs.forEach(({ code, value }) => {
+    if (code === 0) {
+      current = null;
+      if (value === "LWPOLYLINE" || value === "POLYLINE") {
+        current = { vertices: [], closed: false };
+        polylines.push(current);
+        sequence = value === "POLYLINE" ? current : null;
+      } else if (value === "VERTEX" && sequence) {
+        sequence.vertices.push({ x: 0, y: 0, bulge: 0 });
+        current = { vertex: sequence.vertices[sequence.vertices.length - 1] };
+      } else {
+        sequence = null;
+      }
+      return;
+    }
+    if (!current) return;
+    if (current.vertex) {
+      if (code === 10) current.vertex.x = Number(value);
+      else if (code === 20) current.vertex.y = Number(value);
+      else if (code === 42) current.vertex.bulge = Number(value);
+      return;
+    }
+    if (code === 70) current.closed = (Number(value) & 1) === 1;
+    else if (sequence) return; // a POLYLINE's own 10/20 is its elevation point, not a vertex
+    else if (code === 10) current.vertices.push({ x: Number(value), y: 0, bulge: 0 });
+    else if (code === 20 && current.vertices.length) current.vertices[current.vertices.length - 1].y = Number(value);
+    else if (code === 42 && current.vertices.length) current.vertices[current.vertices.length - 1].bulge = Number(value);
+  });
+  const usable = polylines.filter(p => p.vertices.length >= 2);
+  if (!usable.length) throw new Error("No LWPOLYLINE or POLYLINE found in DXF");
+  const chosen = usable.find(p => p.closed) || usable[0];
+  const v = chosen.vertices;
+  const pts = [];
+  const segments = chosen.closed ? v.length : v.length - 1;
+  for (let i = 0; i < segments; i++) {
+    const a = v[i];
+    const b = v[(i + 1) % v.length];
+    pts.push({ x: a.x, y: a.y });
+    if (a.bulge) flattenBulge(pts, a, b, a.bulge, tolerance);
+  }
+  if (!chosen.closed) pts.push({ x: v[v.length - 1].x, y: v[v.length - 1].y });
+  return normalizeProfile(pts);
+}
+
+export function parseProfileFile(name, text, tolerance = 0.5) {
+  const isDxf = /\.dxf$/i.test(name) || /^\s*0\s*\r?\n\s*SECTION/i.test(text);
+  return isDxf ? parseDxfProfile(text, tolerance) : parseSvgProfile(text, tolerance);
+}
+
+const fmt = v => Number(v.toFixed(6)).toString();
+
+// Exports write the outline once: repeated and retraced points are dropped first.
+export function profileToSvg(profile) {
+  const points = closedLoop(profile);
+  const box = spanOf(points);
+  const pad = Math.max(box.w, box.h) * 0.05;
+  const path = points.map((p, i) => `${i === 0 ? "M" : "L"}${fmt(p.x)} ${fmt(-p.y)}`).join(" ") + " Z";
+  const viewBox = [box.minX - pad, -box.maxY - pad, box.w + pad * 2, box.h + pad * 2].map(fmt).join(" ");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">
+  <path d="${path}" fill="none" stroke="#000" stroke-width="${fmt(pad * 0.1)}"/>
+</svg>
+`;
+}
+
+// Minimal R12 (AC1009) drawing: HEADER and ENTITIES with one closed POLYLINE on layer 0. R12 needs
+// no tables, blocks, objects or handles, so every DXF reader opens it.
+export function profileToDxf(profile) {
+  const points = closedLoop(profile);
+  const lines = [
+    "0", "SECTION", "2", "HEADER", "9", "$ACADVER", "1", "AC1009", "0", "ENDSEC",
+    "0", "SECTION", "2", "ENTITIES",
+    "0", "POLYLINE", "8", "0", "66", "1", "10", "0", "20", "0", "30", "0", "70", "1"
+  ];
+  points.forEach(p => {
+    lines.push("0", "VERTEX", "8", "0", "10", fmt(p.x), "20", fmt(p.y), "30", "0");
+  });
+  lines.push("0", "SEQEND", "8", "0", "0", "ENDSEC", "0", "EOF");
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,159 @@
+import { cloneProfile } from "./state.js";
+
+// Profile keyframes: the base `profilePoints` sits at height fraction 0 and each entry of
+// `profileKeyframes` ({ t, points }) pins another plan higher up the tower. Tiers in between
+// interpolate vertex positions; profiles with different point counts are resampled first.
+
+function signedArea(points) {
+  let a = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a / 2;
+}
+
+// Centre on the bounding box and scale the larger span to 1 so profiles of different sizes line up.
+function unitBox(points) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  points.forEach(p => {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y);
+    maxY = Math.max(maxY, p.y);
+  });
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  const s = 1 / Math.max(1e-9, maxX - minX, maxY - minY);
+  return points.map(p => ({ x: (p.x - cx) * s, y: (p.y - cy) * s }));
+}
+
+// Drops repeated vertices and anything after the loop first returns to its start
+// (the default plan retraces part of itself), so interpolation never folds the outline.
+// Works on { x, y } and { x, y, z } points; the points kept are the input objects.
+export function closedLoop(points, eps = 1e-9) {
+  const out = [];
+  const same = (a, b) =>
+    Math.abs(a.x - b.x) < eps && Math.abs(a.y - b.y) < eps && Math.abs((a.z ?? 0) - (b.z ?? 0)) < eps;
+  for (const p of points) {
+    if (out.length && same(out[out.length - 1], p)) continue;
+    if (out.length > 2 && same(out[0], p)) break;
+    out.push(p);
+  }
+  return out;
+}
+
+// Adds points by splitting the longest edge until the profile has `count` vertices.
+// Existing vertices are kept, so corners survive the resample.
+export function resampleProfile(points, count) {
+  const out = points.map(p => ({ x: p.x, y: p.y }));
+  while (out.length < count) {
+    let longest = 0;
+    let best = -1;
+    for (let i = 0; i < out.length; i++) {
+      const p = out[i];
+      const q = out[(i + 1) % out.length];
+      const len = Math.hypot(q.x - p.x, q.y - p.y);
+      if (len > longest) {
+        longest = len;
+        best = i;
+      }
+    }
+    const p = out[best];
+    const q = out[(best + 1) % out.length];
+    out.splice(best + 1, 0, { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 });
+  }
+  return out;
+}
+
+// Closed, counter-clockwise loop in a unit box starting at the vertex nearest the +x direction from
+// the centre. Keyframes drawn with opposite windings or start points then resample alike, and a
+// blend never turns an outline inside out.
+function canonicalLoop(points) {
+  let loop = unitBox(closedLoop(points));
+  if (signedArea(loop) < 0) loop = loop.reverse();
+  let start = 0;
+  loop.forEach((p, i) => {
+    if (Math.abs(Math.atan2(p.y, p.x)) < Math.abs(Math.atan2(loop[start].y, loop[start].x))) start = i;
+  });
+  return loop.map((_, k) => loop[(k + start) % loop.length]);
+}
+
+function blend(from, to, f) {
+  return from.map((p, idx) => {
+    const q = to[idx];
+    return { x: p.x + (q.x - p.x) * f, y: p.y + (q.y - p.y) * f };
+  });
+}
+
+// Rotates (and if needed reverses) `points` so vertex k lands closest to vertex k of `reference`.
+function alignTo(reference, points) {
+  const ref = unitBox(reference);
+  let pts = points;
+  if (Math.sign(signedArea(ref)) !== Math.sign(signedArea(unitBox(pts)))) pts = pts.slice().reverse();
+  const unit = unitBox(pts);
+  const n = pts.length;
+  let bestShift = 0;
+  let bestCost = Infinity;
+  for (let shift = 0; shift < n; shift++) {
+    let cost = 0;
+    for (let k = 0; k < n && cost < bestCost; k++) {
+      const a = ref[k];
+      const b = unit[(k + shift) % n];
+      cost += (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+    }
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestShift = shift;
+    }
+  }
+  return pts.map((_, k) => pts[(k + bestShift) % n]);
+}
+
+// Sorted keyframe list including the base profile at t = 0.
+export function profileKeyframes(state) {
+  const extra = (state.profileKeyframes || [])
+    .filter(k => k.t > 0)
+    .map(k => ({ t: k.t, points: cloneProfile(k.points) }));
+  return [{ t: 0, points: cloneProfile(state.profilePoints) }, ...extra].sort((a, b) => a.t - b.t);
+}
+
+// Returns a function mapping a height fraction (0 = base, 1 = crown) to profile points.
+// Keyframes are resampled and aligned once, so sampling per tier stays cheap. Blends are taken
+// in a unit box; profileToShape rescales every profile to its tier footprint anyway.
+export function createProfileMorph(state) {
+  const keys = profileKeyframes(state);
+  if (keys.length === 1) {
+    const only = keys[0].points;
+    return () => only;
+  }
+  // Each consecutive pair is matched on its own so a dense keyframe does not inflate the others.
+  const spans = [];
+  for (let k = 0; k < keys.length - 1; k++) {
+    const a = keys[k];
+    const b = keys[k + 1];
+    const loopA = canonicalLoop(a.points);
+    const loopB = canonicalLoop(b.points);
+    const count = Math.max(loopA.length, loopB.length);
+    const from = unitBox(resampleProfile(loopA, count));
+    const to = unitBox(alignTo(from, resampleProfile(loopB, count)));
+    // Both ends wind counter-clockwise; if the halfway blend does not, vertex matching failed and
+    // the span switches profiles at its middle instead of folding the tiers between.
+    const folds = signedArea(blend(from, to, 0.5)) <= 0;
+    spans.push({ t0: a.t, t1: b.t, from, to, folds });
+  }
+  const first = keys[0].points;
+  const last = keys[keys.length - 1].points;
+  return t => {
+    if (t <= keys[0].t) return first;
+    if (t >= keys[keys.length - 1].t) return last;
+    const span = spans.find(s => t <= s.t1);
+    const f = span.t1 > span.t0 ? (t - span.t0) / (span.t1 - span.t0) : 1;
+    if (span.folds) return f < 0.5 ? span.from : span.to;
+    return blend(span.from, span.to, f);
+  };
+}
@@ -0,0 +1,78 @@
+import { ImprovedNoise } from "three/addons/math/ImprovedNoise.js";
+
+// Small deterministic PRNG (mulberry32). Returns floats in [0, 1).
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a hash so string keys can be mixed into a numeric seed.
+export function hashSeed(seed, key = "") {
+  let h = (0x811c9dc5 ^ (seed >>> 0)) >>> 0;
+  const str = String(key);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+const referenceNoise = new ImprovedNoise();
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+// ImprovedNoise's gradients restricted to the y = 0 plane.
+function grad(hash, x, z) {
+  const h = hash & 15;
+  const u = h < 8 ? x : 0;
+  const v = h < 4 ? 0 : h === 12 || h === 14 ? x : z;
+  return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+}
+
+// Ken Perlin's improved noise on the y = 0 plane over a permutation shuffled by mulberry32, so
+// every seed gets its own field rather than a shifted view of one shared field.
+function seededNoise(seed) {
+  const rng = mulberry32(seed);
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 256; i++) perm[i] = i;
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [perm[i], perm[j]] = [perm[j], perm[i]];
+  }
+  perm.copyWithin(256, 0, 256);
+  const lerp = (a, b, t) => a + (b - a) * t;
+  return (x, z) => {
+    const fx = Math.floor(x);
+    const fz = Math.floor(z);
+    const X = fx & 255;
+    const Z = fz & 255;
+    x -= fx;
+    z -= fz;
+    const u = fade(x);
+    const w = fade(z);
+    const AA = perm[perm[X]] + Z;
+    const BA = perm[perm[X + 1]] + Z;
+    return lerp(
+      lerp(grad(perm[AA], x, z), grad(perm[BA], x - 1, z), u),
+      lerp(grad(perm[AA + 1], x, z - 1), grad(perm[BA + 1], x - 1, z - 1), u),
+      w
+    );
+  };
+}
+
+// 2D noise in 0..1. Seed 0 keeps ImprovedNoise's reference permutation, so unseeded designs look
+// as they always have; any other seed builds its own permutation table.
+export function createNoise2d(seed = 0) {
+  const key = Math.floor(seed) || 0;
+  const noise = key === 0 ? (x, z) => referenceNoise.noise(x, 0, z) : seededNoise(hashSeed(key, "noise"));
+  // Perlin noise is -1..1; normalize to 0..1
+  return (x, z) => (noise(x, z) + 1) * 0.5;
+}
@@ -0,0 +1,126 @@
+import * as THREE from "three";
+
+// Reference counts for the GPU resources of built scenes. Whoever keeps an object tree alive (the
+// live scene, the part builder's templates, an export in progress) retains it once and releases it
+// when done. Geometries and materials, and the textures of those materials, are disposed when their
+// last holder lets go, and the caches that handed them out (materials.js) forget them. Instance
+// buffers belong to a single InstancedMesh and are freed with it.
+
+const counts = new Map();
+// Cache evictions to run when a resource is disposed.
+const dropHooks = new WeakMap();
+// Disposed here; retaining one again means something kept a stale reference.
+const disposed = new WeakSet();
+// Geometries that draw another geometry's vertex buffers through their own index.
+const views = new WeakMap();
+const TEXTURE_SLOTS = ["map", "normalMap", "roughnessMap", "metalnessMap", "emissiveMap", "aoMap", "bumpMap", "alphaMap"];
+let revived = 0;
+
+// Runs `drop` once `resource` has been disposed, e.g. to delete it from the cache that made it.
+export function onDispose(resource, drop) {
+  if (!dropHooks.has(resource)) dropHooks.set(resource, []);
+  dropHooks.get(resource).push(drop);
+  return resource;
+}
+
+const kindOf = resource => (resource.isBufferGeometry ? "geometry" : resource.isMaterial ? "material" : "texture");
+
+// True when this is the first reference.
+function acquire(resource) {
+  const refs = counts.get(resource) || 0;
+  if (!refs && disposed.has(resource)) {
+    disposed.delete(resource);
+    revived++;
+    console.warn(`Reusing disposed ${kindOf(resource)} "${resource.name || resource.uuid}"`);
+  }
+  counts.set(resource, refs + 1);
+  return refs === 0;
+}
+
+// True when this was the last reference and the resource is now disposed.
+function drop(resource) {
+  const refs = counts.get(resource);
+  if (!refs) return false;
+  if (refs > 1) {
+    counts.set(resource, refs - 1);
+    return false;
+  }
+  counts.delete(resource);
+  resource.dispose();
+  disposed.add(resource);
+  (dropHooks.get(resource) || []).forEach(fn => fn());
+  dropHooks.delete(resource);
+  return true;
+}
+
+function texturesOf(material) {
+  return TEXTURE_SLOTS.map(slot => material[slot]).filter(tex => tex && tex.isTexture);
+}
+
+function materialsOf(obj) {
+  if (!obj.material) return [];
+  return Array.isArray(obj.material) ? obj.material : [obj.material];
+}
+
+// Materials hold their textures, so a texture is counted once per live material using it.
+export function retain(root) {
+  root.traverse(obj => {
+    if (obj.geometry) acquire(views.get(obj.geometry) || obj.geometry);
+    materialsOf(obj).forEach(mat => {
+      if (acquire(mat)) texturesOf(mat).forEach(acquire);
+    });
+  });
+  return root;
+}
+
+export function release(root) {
+  root.traverse(obj => {
+    if (obj.geometry) {
+      const base = views.get(obj.geometry);
+      if (base) disposeView(obj.geometry);
+      drop(base || obj.geometry);
+    }
+    materialsOf(obj).forEach(mat => {
+      const textures = texturesOf(mat);
+      if (drop(mat)) textures.forEach(drop);
+    });
+    if (obj.isInstancedMesh) obj.dispose();
+  });
+}
+
+// New geometry sharing `base`'s vertex attributes with its own index; holders of a mesh count `base`
+// whichever of the two it shows.
+export function geometryView(base, index) {
+  const view = new THREE.BufferGeometry();
+  for (const [name, attr] of Object.entries(base.attributes)) view.setAttribute(name, attr);
+  view.setIndex(index);
+  views.set(view, base);
+  return view;
+}
+
+export const viewBase = view => views.get(view) || null;
+
+// Frees only what the view owns: disposing it with the attributes still attached would delete the
+// vertex buffers `base` keeps drawing from.
+export function disposeView(view) {
+  Object.keys(view.attributes).forEach(name => view.deleteAttribute(name));
+  view.dispose();
+  views.delete(view);
+}
+
+// Live counted resources, for spotting leaks over a long session.
+export function resourceReport() {
+  const report = { geometries: 0, geometryBytes: 0, materials: [], textures: [], revived };
+  for (const [resource, refs] of counts) {
+    if (resource.isBufferGeometry) {
+      report.geometries++;
+      const arrays = [...Object.values(resource.attributes), resource.index].filter(Boolean);
+      report.geometryBytes += arrays.reduce((n, attr) => n + attr.array.byteLength, 0);
+    } else if (resource.isMaterial) {
+      report.materials.push({ name: resource.name || resource.type, refs });
+    } else {
+      report.textures.push({ name: resource.name || resource.uuid, refs });
+    }
+  }
+  return report;
+}
@@ -0,0 +1,42 @@
+import * as THREE from "three";
+
+// Hidden subtrees (inactive LOD levels, far-away beads) are not drawn, so they are not counted.
+export function triangleCount(object) {
+  let total = 0;
+  object.traverseVisible(child => {
+    if (!child.isMesh || !child.geometry) return;
+    const geo = child.geometry;
+    const tris = geo.index ? geo.index.count / 3 : (geo.attributes.position?.count ?? 0) / 3;
+    total += tris * (child.isInstancedMesh ? child.count : 1);
+  });
+  return total;
+}
+
+export function describeObject(object, maxDepth = Infinity, depth = 0) {
+  const node = {
+    name: object.name || object.type,
+    type: object.type,
+    triangles: triangleCount(object)
+  };
+  if (object.isInstancedMesh) node.instances = object.count;
+  const meshes = [];
+  object.traverse(child => {
+    if (child.isMesh) meshes.push(child);
+  });
+  node.meshes = meshes.length;
+  if (object.children.length && depth < maxDepth) {
+    node.children = object.children.map(child => describeObject(child, maxDepth, depth + 1));
+  }
+  return node;
+}
+
+export function boundsOf(object) {
+  object.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  return {
+    min: box.min.toArray(),
+    max: box.max.toArray(),
+    size: size.toArray()
+  };
+}
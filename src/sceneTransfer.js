@@ -0,0 +1,102 @@
+import * as THREE from "three";
+import { materialSource, materialFromSource } from "./materials.js";
+
+// Flattens an object tree built in a worker into plain data plus the ArrayBuffers to transfer,
+// and rebuilds it on the main thread. Geometries shared between meshes are sent once; materials
+// travel as the factory call that made them (materials.js) and are recreated, and cached, on arrival.
+
+function serializeGeometry(geo, transfer) {
+  const attributes = {};
+  for (const [name, attr] of Object.entries(geo.attributes)) {
+    attributes[name] = { array: attr.array, itemSize: attr.itemSize, normalized: attr.normalized };
+    transfer.add(attr.array.buffer);
+  }
+  const index = geo.index ? geo.index.array : null;
+  if (index) transfer.add(index.buffer);
+  return { attributes, index, groups: geo.groups.map(g => ({ ...g })) };
+}
+
+export function serializeObject(root) {
+  const geometries = [];
+  const geometryIds = new Map();
+  const transfer = new Set();
+
+  const materialOf = mat => {
+    const source = materialSource(mat);
+    if (!source) throw new Error(`Material ${mat.name || mat.uuid} was not made by materials.js`);
+    return source;
+  };
+
+  const visit = obj => {
+    const node = {
+      type: obj.isInstancedMesh ? "InstancedMesh" : obj.isMesh ? "Mesh" : "Group",
+      name: obj.name,
+      position: obj.position.toArray(),
+      quaternion: obj.quaternion.toArray(),
+      scale: obj.scale.toArray(),
+      visible: obj.visible,
+      userData: obj.userData,
+      children: obj.children.map(visit)
+    };
+    if (obj.isMesh) {
+      if (!geometryIds.has(obj.geometry)) {
+        geometryIds.set(obj.geometry, geometries.length);
+        geometries.push(serializeGeometry(obj.geometry, transfer));
+      }
+      node.geometry = geometryIds.get(obj.geometry);
+      node.material = Array.isArray(obj.material) ? obj.material.map(materialOf) : materialOf(obj.material);
+    }
+    if (obj.isInstancedMesh) {
+      node.count = obj.count;
+      node.instanceMatrix = obj.instanceMatrix.array;
+      transfer.add(obj.instanceMatrix.array.buffer);
+    }
+    return node;
+  };
+
+  const tree = visit(root);
+  return { payload: { tree, geometries }, transfer: [...transfer] };
+}
+
+export function deserializeObject({ tree, geometries }) {
+  const geos = geometries.map(({ attributes, index, groups }) => {
+    const geo = new THREE.BufferGeometry();
+    for (const [name, { array, itemSize, normalized }] of Object.entries(attributes)) {
+      geo.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+    }
+    if (index) geo.setIndex(new THREE.BufferAttribute(index, 1));
+    groups.forEach(g => geo.addGroup(g.start, g.count, g.materialIndex));
+    return geo;
+  });
+  // One material per factory call, so a part does not end up with a copy per mesh.
+  const mats = new Map();
+  const material = source => {
+    const key = JSON.stringify(source);
+    if (!mats.has(key)) mats.set(key, materialFromSource(source));
+    return mats.get(key);
+  };
+
+  const visit = node => {
+    let obj;
+    if (node.type === "Group") {
+      obj = new THREE.Group();
+    } else {
+      const mat = Array.isArray(node.material[0]) ? node.material.map(material) : material(node.material);
+      if (node.type === "InstancedMesh") {
+        obj = new THREE.InstancedMesh(geos[node.geometry], mat, node.count);
+        obj.instanceMatrix = new THREE.InstancedBufferAttribute(node.instanceMatrix, 16);
+      } else {
+        obj = new THREE.Mesh(geos[node.geometry], mat);
+      }
+    }
+    obj.name = node.name;
+    obj.position.fromArray(node.position);
+    obj.quaternion.fromArray(node.quaternion);
+    obj.scale.fromArray(node.scale);
+    obj.visible = node.visible;
+    Object.assign(obj.userData, node.userData);
+    node.children.forEach(child => obj.add(visit(child)));
+    return obj;
+  };
+  return visit(tree);
+}
@@ -0,0 +1,270 @@
+import * as THREE from "three";
+import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+import { materials } from "./materials.js";
+import { mulberry32, hashSeed } from "./random.js";
+
+// Procedural sculpture library for the tier statue rows. Every archetype is built from
+// primitives in a ~30 unit tall local frame facing +Z, then merged into one geometry per
+// material. Pose and proportion parameters are drawn from the seed, a few variants per
+// archetype, so a whole tower shares a handful of geometries drawn as InstancedMeshes.
+
+export const SCULPTURE_ARCHETYPES = ["standing", "seated", "dvarapala", "yali", "kirtimukha"];
+const VARIANTS = 3;
+const FIGURE_SCALE = 0.4; // about 12 units tall on the tiers
+const BODY_COLOR = 0xf0c8a0;
+
+// Segment counts: "high" is the full figure, "medium" the low-poly stand-in.
+const SEGMENTS = {
+  high: { radial: 8, sphereW: 10, sphereH: 6, fine: true },
+  medium: { radial: 5, sphereW: 6, sphereH: 4, fine: false }
+};
+
+const _m = new THREE.Matrix4();
+const _q = new THREE.Quaternion();
+const _e = new THREE.Euler();
+const _s = new THREE.Vector3();
+const _p = new THREE.Vector3();
+
+// Collects transformed primitives per material slot. Every primitive takes
+// { pos, rot, scale, parent } where parent is an extra matrix applied after the local transform.
+function createParts(seg) {
+  const parts = { body: [], metal: [], stone: [] };
+  const add = (slot, geo, { pos = [0, 0, 0], rot = [0, 0, 0], scale = [1, 1, 1], parent = null } = {}) => {
+    _m.compose(_p.set(...pos), _q.setFromEuler(_e.set(...rot)), _s.set(...scale));
+    if (parent) _m.premultiply(parent);
+    geo.applyMatrix4(_m);
+    parts[slot].push(geo);
+  };
+  return {
+    parts,
+    seg,
+    sphere: (slot, r, opts) => add(slot, new THREE.SphereGeometry(r, seg.sphereW, seg.sphereH), opts),
+    cylinder: (slot, rTop, rBottom, h, opts) => add(slot, new THREE.CylinderGeometry(rTop, rBottom, h, seg.radial), opts),
+    cone: (slot, r, h, opts) => add(slot, new THREE.ConeGeometry(r, h, seg.radial), opts),
+    box: (slot, w, h, d, opts) => add(slot, new THREE.BoxGeometry(w, h, d), opts),
+    torus: (slot, r, tube, arc, opts) =>
+      add(slot, new THREE.TorusGeometry(r, tube, Math.max(3, seg.radial / 2), seg.radial + 4, arc), opts),
+    // Limb hanging along -Y from its joint at `pos`, swung by `rot` about that joint.
+    limb: (slot, r, length, opts) => {
+      const geo = new THREE.CylinderGeometry(r, r * 0.8, length, seg.radial);
+      geo.translate(0, -length / 2, 0);
+      add(slot, geo, opts);
+    }
+  };
+}
+
+// Rotation about a pivot point, used to sway the upper body.
+function pivot(point, rot) {
+  const toPivot = new THREE.Matrix4().makeTranslation(point[0], point[1], point[2]);
+  const back = new THREE.Matrix4().makeTranslation(-point[0], -point[1], -point[2]);
+  const r = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(...rot));
+  return toPivot.multiply(r).multiply(back);
+}
+
+function pedestal(b, radius, height) {
+  b.cylinder("stone", radius, radius * 1.15, height, { pos: [0, height / 2, 0] });
+}
+
+// Crowned head (kirita mukuta) centred at y.
+function head(b, y, p, parent = null) {
+  b.sphere("body", 2.6 * p.head, { pos: [0, y, 0], scale: [1, 1.1, 1], parent });
+  b.cone("metal", 2.2 * p.head, 5 * p.crown, { pos: [0, y + 2.4 * p.head + 2.5 * p.crown, 0], parent });
+  if (b.seg.fine) b.torus("metal", 2.4 * p.head, 0.35, Math.PI * 2, { pos: [0, y + 1.6 * p.head, 0], rot: [Math.PI / 2, 0, 0], parent });
+}
+
+const builders = {
+  // Standing deity in tribhanga: hips and torso sway in opposite directions; 2 or 4 arms.
+  standing(b, p) {
+    const h = p.height;
+    pedestal(b, 5, 3);
+    [-1, 1].forEach(side => {
+      b.limb("body", 1.3, 10 * h, { pos: [side * 1.5, 13 * h, 0], rot: [0, 0, side * 0.06 + p.sway * 0.3] });
+    });
+    b.sphere("body", 3.2, { pos: [p.sway * 2, 13.5 * h, 0], scale: [1.25, 0.8, 0.9] });
+    const upper = pivot([0, 13.5 * h, 0], [0, 0, -p.sway]);
+    b.cylinder("body", 3.4 * p.shoulders, 2.6, 8 * h, { pos: [0, 18 * h, 0], parent: upper });
+    head(b, 24.5 * h, p, upper);
+    const shoulderY = 21.5 * h;
+    [-1, 1].forEach(side => {
+      b.limb("body", 0.8, 7 * h, { pos: [side * 3.4 * p.shoulders, shoulderY, 0], rot: [0, 0, side * 0.25], parent: upper });
+      if (p.arms === 4) {
+        const rot = [0, 0, side * (Math.PI - p.raise)];
+        b.limb("body", 0.7, 6.5 * h, { pos: [side * 3 * p.shoulders, shoulderY, -0.5], rot, parent: upper });
+      }
+    });
+  },
+
+  // Seated deity in padmasana on a lotus seat, with an optional halo.
+  seated(b, p) {
+    pedestal(b, 6, 3);
+    b.cylinder("body", 5.5 * p.shoulders, 6 * p.shoulders, 2.6, { pos: [0, 4.3, 0.5], scale: [1, 1, 0.75] });
+    b.cylinder("body", 3.2 * p.shoulders, 2.8, 8 * p.height, { pos: [0, 5.6 + 4 * p.height, 0] });
+    const headY = 12 + 8 * p.height;
+    head(b, headY, p);
+    const shoulderY = 5.6 + 7.4 * p.height;
+    [-1, 1].forEach(side => {
+      // Hands rest on the knees; the right hand can rise in abhaya mudra.
+      const raised = side === 1 && p.raise > 0.7;
+      const rot = raised ? [-0.4, 0, side * 2.6] : [0.5, 0, side * 0.35];
+      b.limb("body", 0.8, 6.5 * p.height, { pos: [side * 3.2 * p.shoulders, shoulderY, 0], rot });
+    });
+    if (p.halo && b.seg.fine) b.torus("metal", 6.5 * p.head, 0.45, Math.PI * 2, { pos: [0, headY + 0.6, -2.2] });
+  },
+
+  // Dvarapala: a stout door guardian leaning on a mace, one hand raised in warning.
+  dvarapala(b, p) {
+    const h = p.height;
+    pedestal(b, 5.5, 3);
+    const stance = 1.6 + Math.abs(p.sway) * 2;
+    [-1, 1].forEach(side => {
+      b.limb("body", 1.7, 10 * h, { pos: [side * stance, 13 * h, 0], rot: [0, 0, side * 0.12] });
+    });
+    b.sphere("body", 4.2 * p.shoulders, { pos: [0, 15.5 * h, 0.8], scale: [1, 1, 0.9] });
+    b.cylinder("body", 4.2 * p.shoulders, 3.4, 6 * h, { pos: [0, 20 * h, 0] });
+    head(b, 25.5 * h, p);
+    const shoulderY = 22.5 * h;
+    const side = p.maceSide;
+    const shoulderX = 4.2 * p.shoulders;
+    b.limb("body", 1, 7.5 * h, { pos: [side * shoulderX, shoulderY, 0], rot: [0.3, 0, side * 0.5] });
+    b.limb("body", 1, 7 * h, { pos: [-side * shoulderX, shoulderY, 0], rot: [0, 0, -side * (Math.PI - p.raise)] });
+    const maceX = side * (8 + p.shoulders * 2);
+    b.cylinder("stone", 0.6, 0.6, 14 * h, { pos: [maceX, 3 + 7 * h, 2] });
+    b.sphere("stone", 2.2, { pos: [maceX, 3 + 14 * h, 2], scale: [1, 1.25, 1] });
+  },
+
+  // Yali: a leonine beast on its haunches with a horned, snouted head and a curled tail.
+  yali(b, p) {
+    pedestal(b, 5.5, 3);
+    const rear = p.raise; // low values crouch, high values rear up
+    b.sphere("body", 4, { pos: [0, 7, -1.5], scale: [1, 0.9, 1.2] });
+    const chest = [0, 9 + rear * 6, 2 + (1.2 - rear) * 3];
+    b.cylinder("body", 3.2, 3.8, 8, { pos: [0, (7 + chest[1]) / 2, (chest[2] - 1.5) / 2], rot: [0.9 - rear * 0.5, 0, 0] });
+    b.sphere("body", 3.4 * p.shoulders, { pos: chest });
+    const headY = chest[1] + 4.5 * p.head;
+    const headZ = chest[2] + 1.5;
+    b.sphere("body", 3 * p.head, { pos: [0, headY, headZ], scale: [1, 1, 1.1] });
+    b.box("body", 2.8 * p.head, 2 * p.head, 3.5 * p.snout, { pos: [0, headY - 0.8, headZ + 3 * p.head], rot: [0.15, 0, 0] });
+    [-1, 1].forEach(side => {
+      b.cone("metal", 0.6, 3.5 * p.crown, { pos: [side * 1.6 * p.head, headY + 3 * p.head, headZ - 0.5], rot: [-0.4, 0, -side * 0.35] });
+      b.limb("body", 1.1, 8, { pos: [side * 2.2, chest[1] - 1, chest[2] + 1], rot: [0.35 - rear * 0.6, 0, side * 0.1] });
+      b.limb("body", 1.3, 4.5, { pos: [side * 3, 6, -1], rot: [-0.4, 0, 0] });
+      if (b.seg.fine) b.sphere("body", 0.9, { pos: [side * 1.3 * p.head, headY + 0.6, headZ + 2.6 * p.head], scale: [1, 1, 0.6] });
+    });
+    if (b.seg.fine) b.torus("body", 3, 0.7, Math.PI * 1.3, { pos: [0, 9, -6], rot: [0, Math.PI / 2, Math.PI * 0.1] });
+  },
+
+  // Kirtimukha: the face of glory, a bulging mask with horns and a flaring mane on a block.
+  kirtimukha(b, p) {
+    b.box("stone", 11, 6, 6, { pos: [0, 3, 0] });
+    const faceY = 14;
+    const w = 6 * p.shoulders;
+    b.sphere("body", w, { pos: [0, faceY, 0], scale: [1, 1.05, 0.55] });
+    b.torus("body", w * 1.2 * p.head, 1.4, Math.PI * 2, { pos: [0, faceY, -0.8] });
+    [-1, 1].forEach(side => {
+      b.sphere("body", 1.5 * p.snout, { pos: [side * w * 0.42, faceY + 1.8, w * 0.45], scale: [1, 1, 0.8] });
+      b.cone("metal", 1.1, 6 * p.crown, { pos: [side * w * 0.7, faceY + w * 0.95, 0], rot: [0, 0, -side * 0.5] });
+    });
+    // Open jaw with the lower lip swallowing the garland.
+    b.box("stone", w * 0.9, 1.6, 2, { pos: [0, faceY - w * 0.4, w * 0.4] });
+    if (b.seg.fine) {
+      b.torus("metal", w * 1.45 * p.head, 0.5, Math.PI, { pos: [0, faceY, -1.4] });
+      b.box("body", w * 0.4, 1, 1.6, { pos: [0, faceY + w * 0.1, w * 0.55] });
+    }
+  }
+};
+
+function variantParams(archetype, variant, seed, variety) {
+  const rand = mulberry32(hashSeed(seed, `sculpture:${archetype}:${variant}`));
+  const vary = (mid, range) => mid + (rand() - 0.5) * range * variety;
+  return {
+    height: vary(1, 0.25),
+    shoulders: vary(1, 0.35),
+    head: vary(1, 0.2),
+    crown: vary(1.1, 0.6),
+    sway: vary(0, 0.5),
+    raise: vary(0.7, 1),
+    snout: vary(1, 0.5),
+    arms: rand() < 0.5 ? 4 : 2,
+    halo: rand() < 0.6,
+    maceSide: rand() < 0.5 ? -1 : 1
+  };
+}
+
+// Merged per-material geometries for one archetype variant; slots with no parts are left out.
+export function buildFigureGeometry(archetype, params, detail = "high") {
+  const b = createParts(SEGMENTS[detail] || SEGMENTS.high);
+  builders[archetype](b, params);
+  const out = {};
+  Object.entries(b.parts).forEach(([slot, list]) => {
+    if (!list.length) return;
+    out[slot] = mergeGeometries(list.map(g => g.toNonIndexed()));
+    list.forEach(g => g.dispose());
+  });
+  return out;
+}
+
+// Picks an archetype for each slot by weight, mirrored about the row centre.
+function rowMix(state, tier, count) {
+  const weights = SCULPTURE_ARCHETYPES.map(a => Math.max(0, state.sculptureWeights?.[a] ?? 1));
+  const total = weights.reduce((a, b) => a + b, 0);
+  const rand = mulberry32(hashSeed(state.seed ?? 0, `sculpture-row:${tier}`));
+  const pick = () => {
+    if (total <= 0) return null;
+    let r = rand() * total;
+    for (let k = 0; k < weights.length; k++) {
+      r -= weights[k];
+      if (r < 0) return { archetype: SCULPTURE_ARCHETYPES[k], variant: Math.floor(rand() * VARIANTS) };
+    }
+    return { archetype: SCULPTURE_ARCHETYPES[weights.length - 1], variant: 0 };
+  };
+  const half = Math.ceil(count / 2);
+  const left = Array.from({ length: half }, pick);
+  return Array.from({ length: count }, (_, i) => left[Math.min(i, count - 1 - i)]);
+}
+
+// Collects statue rows across a tower and emits one InstancedMesh per figure variant and material.
+export function createSculptureSet(state, detail = "high") {
+  const lod = detail === "high" ? "high" : "medium";
+  const variety = state.sculptureVariety ?? 0.5;
+  const placements = new Map();
+
+  function addRow(tier, yBase, width, height, depth, count) {
+    const mix = rowMix(state, tier, count);
+    const y = yBase + height * 0.15;
+    for (let side = -1; side <= 1; side += 2) {
+      for (let i = 0; i < count; i++) {
+        const slot = mix[i];
+        if (!slot) continue;
+        const x = THREE.MathUtils.lerp(-width / 2 + 10, width / 2 - 10, i / Math.max(1, count - 1));
+        const key = `${slot.archetype}:${slot.variant}`;
+        if (!placements.has(key)) placements.set(key, { ...slot, matrices: [] });
+        const m = new THREE.Matrix4().compose(
+          new THREE.Vector3(x, y, (depth / 2 + 6) * side),
+          new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), side === 1 ? 0 : Math.PI),
+          new THREE.Vector3(FIGURE_SCALE, FIGURE_SCALE, FIGURE_SCALE)
+        );
+        placements.get(key).matrices.push(m);
+      }
+    }
+  }
+
+  function build() {
+    if (!placements.size) return null;
+    const group = new THREE.Group();
+    group.name = "Sculptures";
+    const mats = { body: materials.plaster(BODY_COLOR), metal: materials.metal(), stone: materials.stoneDark() };
+    placements.forEach(({ archetype, variant, matrices }) => {
+      const geos = buildFigureGeometry(archetype, variantParams(archetype, variant, state.seed ?? 0, variety), lod);
+      Object.entries(geos).forEach(([slot, geo]) => {
+        const mesh = new THREE.InstancedMesh(geo, mats[slot], matrices.length);
+        mesh.name = `Sculpture_${archetype}${variant}_${slot}`;
+        matrices.forEach((m, idx) => mesh.setMatrixAt(idx, m));
+        mesh.computeBoundingSphere();
+        group.add(mesh);
+      });
+    });
+    return group;
+  }
+
+  return { addRow, build };
+}
@@ -0,0 +1,250 @@
+import * as THREE from "three";
+import { materials, waterMaterial } from "./materials.js";
+
+// Courtyard elements of the temple complex: pillared mandapa halls, the dhwajastambha
+// flagstaff and the stepped kalyani tank. Each builder takes its own parameters plus a
+// detail level ("high" | "medium" | "low") and returns a group standing on y = 0, with
+// its long axis along local +Z so the complex can turn it onto the main axis.
+
+// Square ring (frame) extruded upward from y0 to y1.
+function squareRing(outer, inner, y0, y1, mat) {
+  const o = outer / 2;
+  const i = inner / 2;
+  const shape = new THREE.Shape([
+    new THREE.Vector2(-o, -o),
+    new THREE.Vector2(o, -o),
+    new THREE.Vector2(o, o),
+    new THREE.Vector2(-o, o)
+  ]);
+  shape.holes.push(
+    new THREE.Path([new THREE.Vector2(-i, -i), new THREE.Vector2(-i, i), new THREE.Vector2(i, i), new THREE.Vector2(i, -i)])
+  );
+  const geo = new THREE.ExtrudeGeometry(shape, { depth: y1 - y0, bevelEnabled: false });
+  geo.rotateX(-Math.PI / 2);
+  geo.translate(0, y0, 0);
+  return new THREE.Mesh(geo, mat);
+}
+
+function instanced(geo, mat, positions, name) {
+  const mesh = new THREE.InstancedMesh(geo, mat, positions.length);
+  mesh.name = name;
+  const m = new THREE.Matrix4();
+  positions.forEach((p, idx) => mesh.setMatrixAt(idx, m.makeTranslation(p.x, p.y, p.z)));
+  mesh.computeBoundingSphere();
+  return mesh;
+}
+
+// Stepped pyramidal roof: shrinking slabs from `y` upward, capped by a kalasha.
+function pyramidRoof(group, width, length, y, tiers, tierH, detail) {
+  const roofMat = materials.stone();
+  for (let k = 0; k < tiers; k++) {
+    const f = 1 - k / (tiers + 1);
+    const slab = new THREE.Mesh(new THREE.BoxGeometry(width * f, tierH, length * f), roofMat);
+    slab.position.y = y + tierH * (k + 0.5);
+    group.add(slab);
+  }
+  if (detail !== "low") {
+    const r = Math.min(width, length) * 0.06;
+    const pot = new THREE.Mesh(new THREE.SphereGeometry(r, 12, 8), materials.metal());
+    pot.position.y = y + tiers * tierH + r;
+    const tip = new THREE.Mesh(new THREE.ConeGeometry(r * 0.7, r * 2, 10), materials.metal());
+    tip.position.y = pot.position.y + r * 1.6;
+    group.add(pot, tip);
+  }
+}
+
+// Pillared hall: a cols x rows column grid on a stepped plinth under a flat or stepped roof.
+export function buildMandapa({ cols, rows, bay, height, roof }, detail = "high") {
+  const group = new THREE.Group();
+  const width = cols * bay;
+  const length = rows * bay;
+  const plinthH = Math.max(4, height * 0.12);
+  const plinthMat = materials.stoneDark();
+
+  const steps = detail === "high" ? 2 : 1;
+  for (let k = 0; k < steps; k++) {
+    const grow = (steps - k) * bay * 0.25;
+    const h = plinthH / steps;
+    const step = new THREE.Mesh(new THREE.BoxGeometry(width + grow, h, length + grow), plinthMat);
+    step.position.y = h * (k + 0.5);
+    group.add(step);
+  }
+
+  const colH = height - plinthH;
+  const roofY = plinthH + colH;
+  if (detail === "low") {
+    // Far away the hall reads as a shaded mass under its roof.
+    const mass = new THREE.Mesh(new THREE.BoxGeometry(width * 0.9, colH, length * 0.9), materials.stone());
+    mass.position.y = plinthH + colH / 2;
+    group.add(mass);
+  } else {
+    const positions = [];
+    for (let i = 0; i < cols; i++) {
+      for (let j = 0; j < rows; j++) {
+        positions.push(new THREE.Vector3((i - (cols - 1) / 2) * bay, 0, (j - (rows - 1) / 2) * bay));
+      }
+    }
+    const r = bay * 0.12;
+    const shaftGeo = new THREE.CylinderGeometry(r, r, colH, detail === "high" ? 8 : 5);
+    shaftGeo.translate(0, plinthH + colH / 2, 0);
+    group.add(instanced(shaftGeo, materials.stone(), positions, "Columns"));
+    if (detail === "high") {
+      // Square base blocks and corbel brackets (potikai) under the beams.
+      const baseGeo = new THREE.BoxGeometry(r * 2.6, colH * 0.12, r * 2.6);
+      baseGeo.translate(0, plinthH + colH * 0.06, 0);
+      group.add(instanced(baseGeo, materials.stoneDark(), positions, "ColumnBases"));
+      const capGeo = new THREE.BoxGeometry(r * 4.5, colH * 0.07, r * 2.2);
+      capGeo.translate(0, roofY - colH * 0.035, 0);
+      group.add(instanced(capGeo, materials.stoneDark(), positions, "ColumnBrackets"));
+    }
+  }
+
+  const slabH = Math.max(3, height * 0.08);
+  const overhang = bay * 0.35;
+  const slab = new THREE.Mesh(new THREE.BoxGeometry(width + overhang, slabH, length + overhang), materials.stone());
+  slab.position.y = roofY + slabH / 2;
+  group.add(slab);
+
+  if (roof === "pyramid") {
+    pyramidRoof(group, width, length, roofY + slabH, detail === "low" ? 2 : 3, slabH * 1.4, detail);
+  } else if (detail === "high") {
+    // Parapet of small posts around the flat roof.
+    const posts = [];
+    const postH = slabH * 1.4;
+    const inset = (width + overhang) / 2 - 2;
+    const insetZ = (length + overhang) / 2 - 2;
+    const perSide = Math.max(2, Math.round(length / (bay * 0.5)));
+    const across = Math.max(2, Math.round(width / (bay * 0.5)));
+    for (let k = 0; k <= perSide; k++) {
+      const z = -insetZ + (2 * insetZ * k) / perSide;
+      posts.push(new THREE.Vector3(-inset, 0, z), new THREE.Vector3(inset, 0, z));
+    }
+    for (let k = 1; k < across; k++) {
+      const x = -inset + (2 * inset * k) / across;
+      posts.push(new THREE.Vector3(x, 0, -insetZ), new THREE.Vector3(x, 0, insetZ));
+    }
+    const postGeo = new THREE.BoxGeometry(2.5, postH, 2.5);
+    postGeo.translate(0, roofY + slabH + postH / 2, 0);
+    group.add(instanced(postGeo, materials.stoneDark(), posts, "Parapet"));
+  }
+  return group;
+}
+
+// Dhwajastambha: a gilded flagstaff on a stepped pedestal, banded along its height
+// and topped with the crossbar plank and bells.
+export function buildFlagstaff({ height }, detail = "high") {
+  const group = new THREE.Group();
+  const base = height * 0.16;
+  const stepMat = materials.stoneDark();
+  const courses = detail === "low" ? 1 : 3;
+  let y = 0;
+  for (let k = 0; k < courses; k++) {
+    const h = (base * 0.6) / courses;
+    const w = base * (1 - k * 0.18);
+    const step = new THREE.Mesh(new THREE.BoxGeometry(w, h, w), stepMat);
+    step.position.y = y + h / 2;
+    group.add(step);
+    y += h;
+  }
+  const metal = materials.metal();
+  const radial = detail === "high" ? 12 : 6;
+  const lotus = new THREE.Mesh(new THREE.CylinderGeometry(base * 0.22, base * 0.34, base * 0.4, radial), metal);
+  lotus.position.y = y + base * 0.2;
+  group.add(lotus);
+  y += base * 0.4;
+
+  const shaftH = height - y;
+  const r = Math.max(1.5, height * 0.018);
+  const shaft = new THREE.Mesh(new THREE.CylinderGeometry(r * 0.75, r, shaftH, radial), metal);
+  shaft.position.y = y + shaftH / 2;
+  group.add(shaft);
+
+  if (detail === "high") {
+    const bands = 7;
+    const bandGeo = new THREE.TorusGeometry(r * 1.05, r * 0.25, 6, radial);
+    bandGeo.rotateX(Math.PI / 2);
+    for (let k = 1; k <= bands; k++) {
+      const band = new THREE.Mesh(bandGeo, metal);
+      band.position.y = y + (shaftH * k) / (bands + 1);
+      group.add(band);
+    }
+  }
+  if (detail !== "low") {
+    const topY = y + shaftH;
+    const plankGeo = new THREE.BoxGeometry(r * 9, r * 0.9, r * 2.4);
+    [0, 1.6, 3.2].forEach((dy, k) => {
+      const plank = new THREE.Mesh(plankGeo, metal);
+      plank.scale.x = 1 - k * 0.2;
+      plank.position.y = topY - r * 5 + dy * r;
+      group.add(plank);
+    });
+    if (detail === "high") {
+      const bellGeo = new THREE.ConeGeometry(r * 0.6, r * 1.4, 8);
+      [-1, 1].forEach(side => {
+        const bell = new THREE.Mesh(bellGeo, metal);
+        bell.position.set(side * r * 4, topY - r * 6.2, 0);
+        group.add(bell);
+      });
+    }
+  }
+  return group;
+}
+
+// Kalyani: a square stepped tank. Terraces step down from a raised rim to the water, with a
+// small pavilion (neerazhi mandapam) on a platform in the middle. The basin sits on the ground
+// plane, so the rim rises above it rather than digging below.
+export function buildKalyani({ size, steps, pavilion }, detail = "high") {
+  const group = new THREE.Group();
+  const stepH = 4;
+  const rimH = steps * stepH;
+  const core = size * 0.3;
+  const tread = (size - core) / 2 / (steps + 1);
+  const waterSize = size - tread * 2 * steps;
+  const stone = materials.stone();
+  const dark = materials.stoneDark();
+
+  // Coping around the rim, then each terrace one tread further in and one step lower.
+  // Far away the flight collapses into a single block at half height.
+  const coping = squareRing(size + tread, size - tread * 0.5, 0, rimH + 1.5, dark);
+  coping.name = "Rim";
+  group.add(coping);
+  if (detail === "low") {
+    group.add(squareRing(size, waterSize, 0, rimH / 2, stone));
+  } else {
+    for (let k = 0; k < steps; k++) {
+      const outer = size - tread * 2 * k;
+      const ring = squareRing(outer, outer - tread * 2, 0, rimH - k * stepH, k % 2 ? dark : stone);
+      ring.name = `Terrace${k}`;
+      group.add(ring);
+    }
+  }
+
+  const waterLevel = Math.max(1, stepH * Math.floor(steps * 0.4)) + 0.5;
+  const water = new THREE.Mesh(new THREE.BoxGeometry(waterSize, waterLevel, waterSize), waterMaterial());
+  water.name = "Tank";
+  water.position.y = waterLevel / 2;
+  group.add(water);
+
+  if (pavilion) {
+    const platformSize = Math.min(core, waterSize * 0.45);
+    const platform = new THREE.Mesh(new THREE.BoxGeometry(platformSize, rimH, platformSize), dark);
+    platform.position.y = rimH / 2;
+    group.add(platform);
+    const bay = platformSize * 0.45;
+    const hall = buildMandapa({ cols: 2, rows: 2, bay, height: bay * 1.8, roof: "pyramid" }, detail);
+    hall.name = "Pavilion";
+    hall.position.y = rimH;
+    group.add(hall);
+  }
+  return group;
+}
+
+// Plan footprints (across, along) including plinths, overhangs and coping, for fitting
+// the elements into courtyard slots.
+export function mandapaFootprint({ cols, rows, bay }) {
+  return { width: (cols + 0.5) * bay, length: (rows + 0.5) * bay };
+}
+
+export function kalyaniFootprint({ size, steps }) {
+  return size * (1 + 0.35 / (steps + 1));
+}
@@ -6,6 +6,18 @@ export const palette = [
   0x99ccff
 ];
 
+// Named plaster schemes; "panchavarnam" is the original five-colour palette.
+export const paletteSchemes = {
+  panchavarnam: palette,
+  whitewashed: [0xf4f1ea, 0xe8e3d6, 0xfbf9f3, 0xdcd5c5],
+  "monochrome stone": [0x9a948a, 0x8a847a, 0xaaa498, 0x7c766d],
+  sandstone: [0xd9a66b, 0xc98f56, 0xe6b886, 0xb97c45]
+};
+export const MAX_PALETTE = 12;
+// How tiers pick colours: "step" cycles per sub-step (the original look), "tier" cycles per tier,
+// "gradient" blends through the palette from base to crown.
+export const COLOR_RULES = ["step", "tier", "gradient"];
+
 // Default stepped plan/profile for each tower tier. Can be edited at runtime.
 export const defaultProfile = [
   [29.746287, 17.357673],
@@ -39,6 +51,19 @@ export const defaultProfile = [
   [-31.039602, 17.357673]
 ];
 
+// Silhouette taper curves: { t: height fraction, s: footprint scale } control points.
+// "straight" reproduces the original linear shrink of 30% from base to crown.
+export const taperPresets = {
+  straight: [[0, 1], [1, 0.7]],
+  concave: [[0, 1], [0.3, 0.8], [0.65, 0.7], [1, 0.64]],
+  convex: [[0, 1], [0.4, 0.96], [0.75, 0.86], [1, 0.64]],
+  stepped: [[0, 1], [0.32, 0.95], [0.34, 0.85], [0.65, 0.8], [0.67, 0.7], [1, 0.66]]
+};
+
+export function cloneTaper(points = taperPresets.straight) {
+  return points.map(p => (Array.isArray(p) ? { t: p[0], s: p[1] } : { t: p.t, s: p.s }));
+}
+
 export function cloneProfile(points = defaultProfile) {
   return points.map(p => {
     if (Array.isArray(p)) return { x: p[0], y: p[1] };
@@ -52,15 +77,41 @@ export const ranges = {
   scaleZ: { min: 0.5, max: 2.0, step: 0.1, default: 1.0 },
   striations: { min: 3, max: 15, step: 1, default: 12 },
   noiseIntensity: { min: 0, max: 30, step: 1, default: 14 },
+  // Drives tier perturbation, sub-step counts and texture speckle; 0 is the original layout.
+  seed: { min: 0, max: 9999, step: 1, default: 0 },
+  // Extra shrink across the sub-steps of one tier, on top of the taper curve.
+  subStepShrink: { min: 0, max: 0.3, step: 0.01, default: 0.1 },
   baseScale: { min: 0.5, max: 2.0, step: 0.1, default: 1.2 },
   doorHeightOffset: { min: 0.0, max: 1.0, step: 0.05, default: 0.55 },
   columnCount: { min: 2, max: 10, step: 1, default: 8 },
   visibleTiers: { min: 1, max: 15, step: 1, default: 15 },
+  // Outer enclosure size along the main axis (length) and across it (width).
+  complexLength: { min: 600, max: 3000, step: 50, default: 1500 },
+  complexWidth: { min: 600, max: 3000, step: 50, default: 1500 },
+  // Tower scale lost per ring going inward; outer gopurams stay full size.
+  ringHeightStep: { min: 0, max: 0.2, step: 0.01, default: 0.1 },
   wallThickness: { min: 40, max: 200, step: 5, default: 40 },
   wallSpacing: { min: 150, max: 800, step: 10, default: 600 },
   innerWalls: { min: 0, max: 3, step: 1, default: 1 },
   shrineProtrude: { min: 0, max: 0.5, step: 0.01, default: 0.125 },
-  shrineColorIndex: { min: 0, max: 4, step: 1, default: 0 },
+  // Shala crown: vault rise as a fraction of its span, and the number of ridge kalashas.
+  shalaRise: { min: 0.3, max: 1.2, step: 0.05, default: 0.6 },
+  shalaKalashas: { min: 1, max: 13, step: 1, default: 7 },
+  // How far sculpture pose and proportions vary between variants (0 = identical figures).
+  sculptureVariety: { min: 0, max: 1, step: 0.05, default: 0.5 },
+  // Palette entry for mini-shrines and columns when accentFixed is on.
+  shrineColorIndex: { min: 0, max: MAX_PALETTE - 1, step: 1, default: 0 },
+  // Courtyard elements: mandapa halls (axial, then the two front corners), flagstaff and kalyani.
+  mandapaCount: { min: 0, max: 3, step: 1, default: 1 },
+  mandapaColumns: { min: 2, max: 10, step: 1, default: 4 },
+  mandapaRows: { min: 2, max: 12, step: 1, default: 4 },
+  mandapaBay: { min: 20, max: 60, step: 1, default: 30 },
+  mandapaHeight: { min: 40, max: 120, step: 5, default: 60 },
+  flagstaffHeight: { min: 60, max: 300, step: 10, default: 160 },
+  tankSize: { min: 150, max: 600, step: 10, default: 400 },
+  tankSteps: { min: 2, max: 10, step: 1, default: 5 },
+  // Festival lamp strings along cornices and wall tops: distance between lamps.
+  lampSpacing: { min: 6, max: 60, step: 1, default: 16 },
   lodNear: { min: 300, max: 2000, step: 50, default: 1250 },
   lodFar: { min: 700, max: 3000, step: 50, default: 2500 },
   beadEnabled: { min: 0, max: 1, step: 1, default: 0 },
@@ -72,6 +123,36 @@ export const defaultState = Object.fromEntries(
 );
 // Attach default profile so it persists through rebuilds.
 defaultState.profilePoints = cloneProfile();
+// Extra profiles higher up the tower: [{ t: height fraction in (0, 1], points }].
+defaultState.profileKeyframes = [];
+export const MAX_PROFILE_KEYFRAMES = 8;
+// Width and depth taper curves; with taperLinked the depth follows the width curve.
+defaultState.taperWidth = cloneTaper();
+defaultState.taperDepth = cloneTaper();
+defaultState.taperLinked = true;
+export const TAPER_SCALE = { min: 0.2, max: 1.5 };
+// "ring" is the original circle of kalashas; "shala" is a barrel-vault roof with a ridge row.
+export const CROWN_TYPES = ["ring", "shala"];
+defaultState.crownType = "ring";
+defaultState.palette = palette.slice();
+defaultState.paletteScheme = "panchavarnam";
+defaultState.colorRule = "step";
+defaultState.accentFixed = false;
+// Prakaram layout: the main axis runs east-west (+X) or north-south (+Z); each wall ring,
+// outermost first, lists the sides that get a gopuram as a string of N/S/E/W letters.
+export const MAIN_AXES = ["east-west", "north-south"];
+export const MAX_RINGS = 4;
+defaultState.mainAxis = "east-west";
+defaultState.gopuramSides = Array.from({ length: MAX_RINGS }, () => "NSEW");
+// Relative weights of the sculpture archetypes in each tier's statue row (0 leaves one out).
+export const SCULPTURE_WEIGHT_MAX = 5;
+defaultState.sculptureWeights = { standing: 3, seated: 2, dvarapala: 1, yali: 1, kirtimukha: 1 };
+// Bake each tower's plain meshes into one mesh per material (see mergeStatic.js).
+defaultState.mergeStatic = true;
+export const MANDAPA_ROOFS = ["flat", "pyramid"];
+defaultState.mandapaRoof = "flat";
+// Pavilion on a platform in the middle of the kalyani.
+defaultState.tankPavilion = true;
 
 export function clampState(state) {
   const next = { ...defaultState };
@@ -81,6 +162,63 @@ export function clampState(state) {
       next[key] = Math.min(cfg.max, Math.max(cfg.min, value));
     }
   }
-  next.profilePoints = cloneProfile(state.profilePoints ?? defaultProfile);
+  next.profilePoints = validProfile(state.profilePoints) ? cloneProfile(state.profilePoints) : cloneProfile(defaultProfile);
+  next.profileKeyframes = (Array.isArray(state.profileKeyframes) ? state.profileKeyframes : [])
+    .filter(k => k && Number.isFinite(k.t) && validProfile(k.points))
+    .slice(0, MAX_PROFILE_KEYFRAMES)
+    .map(k => ({ t: Math.min(1, Math.max(0.01, k.t)), points: cloneProfile(k.points) }))
+    .sort((a, b) => a.t - b.t);
+  next.taperWidth = clampTaper(state.taperWidth);
+  next.taperDepth = clampTaper(state.taperDepth);
+  next.taperLinked = typeof state.taperLinked === "boolean" ? state.taperLinked : defaultState.taperLinked;
+  next.crownType = CROWN_TYPES.includes(state.crownType) ? state.crownType : defaultState.crownType;
+  const colors = Array.isArray(state.palette)
+    ? state.palette.filter(c => Number.isInteger(c) && c >= 0 && c <= 0xffffff).slice(0, MAX_PALETTE)
+    : [];
+  next.palette = colors.length ? colors : palette.slice();
+  next.paletteScheme = typeof state.paletteScheme === "string" ? state.paletteScheme : defaultState.paletteScheme;
+  next.colorRule = COLOR_RULES.includes(state.colorRule) ? state.colorRule : defaultState.colorRule;
+  next.accentFixed = typeof state.accentFixed === "boolean" ? state.accentFixed : defaultState.accentFixed;
+  next.mainAxis = MAIN_AXES.includes(state.mainAxis) ? state.mainAxis : defaultState.mainAxis;
+  next.gopuramSides = defaultState.gopuramSides.map((fallback, ring) => {
+    const sides = Array.isArray(state.gopuramSides) ? state.gopuramSides[ring] : undefined;
+    if (typeof sides !== "string") return fallback;
+    return "NSEW".split("").filter(c => sides.toUpperCase().includes(c)).join("");
+  });
+  next.sculptureWeights = Object.fromEntries(
+    Object.entries(defaultState.sculptureWeights).map(([key, fallback]) => {
+      const value = state.sculptureWeights?.[key];
+      return [key, Number.isFinite(value) ? Math.min(SCULPTURE_WEIGHT_MAX, Math.max(0, value)) : fallback];
+    })
+  );
+  next.mandapaRoof = MANDAPA_ROOFS.includes(state.mandapaRoof) ? state.mandapaRoof : defaultState.mandapaRoof;
+  next.mergeStatic = typeof state.mergeStatic === "boolean" ? state.mergeStatic : defaultState.mergeStatic;
+  next.tankPavilion = typeof state.tankPavilion === "boolean" ? state.tankPavilion : defaultState.tankPavilion;
   return next;
 }
+
+// Taper curves need two or more finite points; t is clamped to [0, 1] and sorted, s to TAPER_SCALE.
+function clampTaper(points) {
+  const valid =
+    Array.isArray(points) &&
+    points.length >= 2 &&
+    points.every(p => {
+      const t = Array.isArray(p) ? p[0] : p?.t;
+      const s = Array.isArray(p) ? p[1] : p?.s;
+      return Number.isFinite(t) && Number.isFinite(s);
+    });
+  if (!valid) return cloneTaper();
+  return cloneTaper(points)
+    .map(p => ({ t: Math.min(1, Math.max(0, p.t)), s: Math.min(TAPER_SCALE.max, Math.max(TAPER_SCALE.min, p.s)) }))
+    .sort((a, b) => a.t - b.t);
+}
+
+// Profiles from files or links must be at least three finite points.
+function validProfile(points) {
+  if (!Array.isArray(points) || points.length < 3) return false;
+  return points.every(p => {
+    const x = Array.isArray(p) ? p[0] : p?.x;
+    const y = Array.isArray(p) ? p[1] : p?.y;
+    return Number.isFinite(x) && Number.isFinite(y);
+  });
+}
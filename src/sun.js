@@ -0,0 +1,69 @@
+import * as THREE from "three";
+
+// Solar position from the low-precision formulas of the Astronomical Almanac (the ones SunCalc
+// uses): within a fraction of a degree, plenty for lighting. Scene axes follow buildTemple.js:
+// +X east, +Z north, +Y up.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = 23.4397 * RAD;
+
+// Sun altitude above the horizon and azimuth clockwise from north, both in radians.
+export function sunPosition(date, latitude, longitude) {
+  const days = date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+  const anomaly = RAD * (357.5291 + 0.98560028 * days);
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const eclipticLon = anomaly + center + RAD * 102.9372 + Math.PI;
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLon));
+  const rightAscension = Math.atan2(Math.sin(eclipticLon) * Math.cos(OBLIQUITY), Math.cos(eclipticLon));
+  const siderealTime = RAD * (280.16 + 360.9856235 * days) + RAD * longitude;
+  const hourAngle = siderealTime - rightAscension;
+  const phi = RAD * latitude;
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  // Measured from south, positive westward; shifted to a compass bearing.
+  const fromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+  );
+  return { altitude, azimuth: THREE.MathUtils.euclideanModulo(fromSouth + Math.PI, Math.PI * 2) };
+}
+
+// Unit vector from the scene toward the sun.
+export function sunDirection({ altitude, azimuth }, target = new THREE.Vector3()) {
+  const flat = Math.cos(altitude);
+  return target.set(flat * Math.sin(azimuth), Math.sin(altitude), flat * Math.cos(azimuth));
+}
+
+// Instant for a calendar date ("2026-03-21") at a local clock time in hours, or null if the date
+// does not parse.
+export function solarDate(day, hours, utcOffset) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(day).trim());
+  if (!match) return null;
+  const [year, month, date] = match.slice(1).map(Number);
+  const midnight = new Date(Date.UTC(year, month - 1, date));
+  // Date.UTC rolls 2026-02-30 over into March; reject it instead.
+  if (midnight.getUTCMonth() !== month - 1 || midnight.getUTCDate() !== date) return null;
+  return new Date(midnight.valueOf() + (hours - utcOffset) * 3600000);
+}
+
+const HORIZON_SUN = new THREE.Color(0xff8a3d);
+const HIGH_SUN = new THREE.Color(0xfff4e0);
+const NIGHT_SKY = new THREE.Color(0x0f131b);
+const DAY_SKY = new THREE.Color(0x546070);
+
+// Key light and sky for a sun altitude: warm and weak at the horizon, off once it has set, with the
+// sky fading from day to night through civil twilight.
+export function sunlight(altitude) {
+  const deg = altitude / RAD;
+  const day = THREE.MathUtils.smoothstep(deg, -12, 10);
+  return {
+    color: HORIZON_SUN.clone().lerp(HIGH_SUN, THREE.MathUtils.smoothstep(deg, 0, 35)),
+    intensity: 1.6 * THREE.MathUtils.smoothstep(deg, -1, 40),
+    skyIntensity: 0.12 + 0.4 * day,
+    background: NIGHT_SKY.clone().lerp(DAY_SKY, day)
+  };
+}
@@ -0,0 +1,66 @@
+// Silhouette taper: footprint scale against height fraction, sampled with a monotone cubic
+// (Fritsch-Carlson) so the curve never overshoots its control points. Close pairs of points
+// give crisp steps, which is how the "stepped" preset is built.
+
+function tangents(points) {
+  const n = points.length;
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    const dt = points[i + 1].t - points[i].t;
+    slopes.push(dt > 1e-9 ? (points[i + 1].s - points[i].s) / dt : 0);
+  }
+  const m = points.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === n - 1) return slopes[n - 2];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      m[i] = 0;
+      m[i + 1] = 0;
+      continue;
+    }
+    const a = m[i] / slopes[i];
+    const b = m[i + 1] / slopes[i];
+    const h = a * a + b * b;
+    if (h > 9) {
+      const k = 3 / Math.sqrt(h);
+      m[i] = k * a * slopes[i];
+      m[i + 1] = k * b * slopes[i];
+    }
+  }
+  return m;
+}
+
+// Returns a function t -> scale for sorted { t, s } control points.
+export function createTaper(points) {
+  if (points.length === 1) return () => points[0].s;
+  const m = tangents(points);
+  const last = points.length - 1;
+  return t => {
+    if (t <= points[0].t) return points[0].s;
+    if (t >= points[last].t) return points[last].s;
+    let i = 0;
+    while (i < last - 1 && t > points[i + 1].t) i++;
+    const p = points[i];
+    const q = points[i + 1];
+    const dt = q.t - p.t;
+    if (dt <= 1e-9) return q.s;
+    const u = (t - p.t) / dt;
+    const u2 = u * u;
+    const u3 = u2 * u;
+    return (
+      (2 * u3 - 3 * u2 + 1) * p.s +
+      (u3 - 2 * u2 + u) * dt * m[i] +
+      (-2 * u3 + 3 * u2) * q.s +
+      (u3 - u2) * dt * m[i + 1]
+    );
+  };
+}
+
+// Width and depth scale factors at a height fraction; depth follows width while taperLinked is set.
+export function createTowerTaper(state) {
+  const width = createTaper(state.taperWidth);
+  const depth = state.taperLinked ? width : createTaper(state.taperDepth);
+  return t => ({ w: width(t), d: depth(t) });
+}
@@ -0,0 +1,184 @@
+import { TAPER_SCALE } from "./state.js";
+import { createTaper } from "./taper.js";
+
+// Canvas editor for a taper curve, drawn as the tower silhouette (height up, scale across).
+// Drag a point to move it, click near the curve to add one, double-click or right-click to delete.
+// The end points stay pinned to the base and crown heights; interior points keep their order.
+
+const HIT_POINT = 7; // px
+const HIT_CURVE = 8; // px
+const PAD = 12; // px
+
+export function createTaperEditor(canvas, { getPoints, setPoints, onEdit, onCommit }) {
+  let drag = null;
+  let hover = -1;
+
+  // Scale s maps to the right-hand silhouette edge; the left edge is drawn mirrored.
+  const toCanvas = p => ({
+    x: canvas.width / 2 + (p.s / TAPER_SCALE.max) * (canvas.width / 2 - PAD),
+    y: canvas.height - PAD - p.t * (canvas.height - PAD * 2)
+  });
+  const toCurve = c => ({
+    t: (canvas.height - PAD - c.y) / (canvas.height - PAD * 2),
+    s: ((c.x - canvas.width / 2) / (canvas.width / 2 - PAD)) * TAPER_SCALE.max
+  });
+
+  function eventPos(evt) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((evt.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((evt.clientY - rect.top) * canvas.height) / rect.height
+    };
+  }
+
+  function findPoint(points, pos) {
+    let best = -1;
+    let bestD = HIT_POINT;
+    points.forEach((p, idx) => {
+      const c = toCanvas(p);
+      const d = Math.hypot(c.x - pos.x, c.y - pos.y);
+      if (d < bestD) {
+        best = idx;
+        bestD = d;
+      }
+    });
+    return best;
+  }
+
+  function draw() {
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    const points = getPoints();
+    if (!points || points.length < 2) return;
+
+    ctx.strokeStyle = "rgba(255,255,255,0.08)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(w / 2, 0);
+    ctx.lineTo(w / 2, h);
+    const unit = toCanvas({ t: 0, s: 1 });
+    ctx.moveTo(unit.x, 0);
+    ctx.lineTo(unit.x, h);
+    ctx.moveTo(w - unit.x, 0);
+    ctx.lineTo(w - unit.x, h);
+    ctx.stroke();
+
+    const taper = createTaper(points);
+    const samples = 64;
+    ctx.fillStyle = "rgba(255,255,255,0.08)";
+    ctx.strokeStyle = "rgba(255,255,255,0.9)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let k = 0; k <= samples; k++) {
+      const t = k / samples;
+      const c = toCanvas({ t, s: taper(t) });
+      if (k === 0) ctx.moveTo(c.x, c.y);
+      else ctx.lineTo(c.x, c.y);
+    }
+    for (let k = samples; k >= 0; k--) {
+      const t = k / samples;
+      const c = toCanvas({ t, s: taper(t) });
+      ctx.lineTo(w - c.x, c.y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    points.forEach((p, idx) => {
+      const c = toCanvas(p);
+      const active = drag ? drag.index === idx : idx === hover;
+      ctx.fillStyle = active ? "#ffcc66" : "rgba(255,255,255,0.75)";
+      const r = active ? 4 : 3;
+      ctx.fillRect(c.x - r, c.y - r, r * 2, r * 2);
+    });
+  }
+
+  // Inserts a point on the curve at the clicked height when the click is close to the curve.
+  function insertAt(points, pos) {
+    const { t } = toCurve(pos);
+    if (t <= points[0].t || t >= points[points.length - 1].t) return -1;
+    const c = toCanvas({ t, s: createTaper(points)(t) });
+    if (Math.abs(c.x - pos.x) > HIT_CURVE) return -1;
+    const next = points.map(p => ({ ...p }));
+    const at = next.findIndex(p => p.t > t);
+    next.splice(at, 0, { t, s: toCurve(c).s });
+    setPoints(next);
+    return at;
+  }
+
+  canvas.addEventListener("pointerdown", evt => {
+    if (evt.button !== 0) return;
+    const points = getPoints();
+    if (!points || points.length < 2) return;
+    const pos = eventPos(evt);
+    let index = findPoint(points, pos);
+    let changed = false;
+    if (index < 0) {
+      index = insertAt(points, pos);
+      if (index < 0) return;
+      changed = true;
+      onEdit();
+    }
+    drag = { index, changed };
+    canvas.setPointerCapture(evt.pointerId);
+    evt.preventDefault();
+    draw();
+  });
+
+  canvas.addEventListener("pointermove", evt => {
+    const pos = eventPos(evt);
+    const points = getPoints();
+    if (!drag) {
+      const next = points && points.length ? findPoint(points, pos) : -1;
+      if (next !== hover) {
+        hover = next;
+        canvas.style.cursor = hover >= 0 ? "grab" : "crosshair";
+        draw();
+      }
+      return;
+    }
+    const raw = toCurve(pos);
+    const next = points.map(p => ({ ...p }));
+    const { index } = drag;
+    const last = next.length - 1;
+    const s = Math.min(TAPER_SCALE.max, Math.max(TAPER_SCALE.min, raw.s));
+    // Ends stay at their heights; interior points stay between their neighbours.
+    const t = index === 0 || index === last ? next[index].t : Math.min(next[index + 1].t, Math.max(next[index - 1].t, raw.t));
+    next[index] = { t, s };
+    setPoints(next);
+    drag.changed = true;
+    onEdit();
+  });
+
+  const endDrag = evt => {
+    if (!drag) return;
+    if (canvas.hasPointerCapture(evt.pointerId)) canvas.releasePointerCapture(evt.pointerId);
+    const changed = drag.changed;
+    drag = null;
+    draw();
+    if (changed) onCommit();
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  const deleteAt = evt => {
+    const points = getPoints();
+    if (!points) return;
+    const index = findPoint(points, eventPos(evt));
+    evt.preventDefault();
+    // The end points anchor the curve to the base and crown.
+    if (index <= 0 || index === points.length - 1) return;
+    setPoints(points.filter((_, idx) => idx !== index).map(p => ({ ...p })));
+    onEdit();
+    onCommit();
+  };
+  canvas.addEventListener("dblclick", deleteAt);
+  canvas.addEventListener("contextmenu", deleteAt);
+
+  canvas.style.cursor = "crosshair";
+  canvas.style.touchAction = "none";
+
+  return { draw };
+}
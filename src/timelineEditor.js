@@ -0,0 +1,134 @@
+// Canvas timeline for a flythrough: seconds run left to right, each path key is a marker labelled
+// with its bookmark, and a playhead shows the current time. Drag a marker to retime its key; click
+// or drag anywhere else to scrub. Markers can be dragged past the end, which widens the view.
+
+const HIT_KEY = 7; // px
+const PAD = 10; // px
+const MIN_SPAN = 5; // s
+
+export function createTimelineEditor(canvas, { getKeys, getTime, getSelected, onScrub, onSelect, onMoveKey, onCommit }) {
+  let drag = null; // { index, changed } for a key, { scrub: true } for the playhead
+  let span = MIN_SPAN;
+
+  const usable = () => canvas.width - PAD * 2;
+  const toX = time => PAD + (time / span) * usable();
+  const toTime = x => Math.max(0, ((x - PAD) / usable()) * span);
+  const keyY = () => canvas.height * 0.6;
+
+  function eventPos(evt) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((evt.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((evt.clientY - rect.top) * canvas.height) / rect.height
+    };
+  }
+
+  function findKey(keys, pos) {
+    let best = -1;
+    let bestD = HIT_KEY;
+    keys.forEach((k, idx) => {
+      const d = Math.hypot(toX(k.time) - pos.x, keyY() - pos.y);
+      if (d < bestD) {
+        best = idx;
+        bestD = d;
+      }
+    });
+    return best;
+  }
+
+  function draw() {
+    const ctx = canvas.getContext("2d");
+    const w = canvas.width;
+    const h = canvas.height;
+    const keys = getKeys();
+    // The view only widens while dragging, so a marker never runs away from the pointer.
+    const latest = keys.reduce((m, k) => Math.max(m, k.time), 0);
+    if (!drag) span = Math.max(MIN_SPAN, Math.ceil(latest * 1.15));
+    else span = Math.max(span, Math.ceil(latest * 1.15));
+    ctx.clearRect(0, 0, w, h);
+
+    ctx.strokeStyle = "rgba(255,255,255,0.12)";
+    ctx.fillStyle = "rgba(255,255,255,0.45)";
+    ctx.font = "9px sans-serif";
+    ctx.lineWidth = 1;
+    const step = span > 60 ? 10 : span > 20 ? 5 : 1;
+    ctx.beginPath();
+    for (let s = 0; s <= span; s += step) {
+      const x = toX(s);
+      ctx.moveTo(x, h - 12);
+      ctx.lineTo(x, h - (s % (step * 5) === 0 ? 20 : 16));
+      if (s % (step * 5) === 0) ctx.fillText(`${s}s`, x + 2, h - 2);
+    }
+    ctx.moveTo(PAD, keyY());
+    ctx.lineTo(w - PAD, keyY());
+    ctx.stroke();
+
+    const selected = getSelected();
+    keys.forEach((k, idx) => {
+      const x = toX(k.time);
+      const active = drag && drag.index !== undefined ? drag.index === idx : idx === selected;
+      const r = active ? 6 : 5;
+      ctx.fillStyle = active ? "#ffcc66" : "rgba(255,255,255,0.8)";
+      ctx.beginPath();
+      ctx.moveTo(x, keyY() - r);
+      ctx.lineTo(x + r, keyY());
+      ctx.lineTo(x, keyY() + r);
+      ctx.lineTo(x - r, keyY());
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillText(k.bookmark, x - r, keyY() - r - 4);
+    });
+
+    const x = toX(getTime());
+    ctx.strokeStyle = "#ff7a59";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, 2);
+    ctx.lineTo(x, h - 12);
+    ctx.stroke();
+  }
+
+  canvas.addEventListener("pointerdown", evt => {
+    if (evt.button !== 0) return;
+    const pos = eventPos(evt);
+    const index = findKey(getKeys(), pos);
+    if (index >= 0) {
+      drag = { index, changed: false };
+      onSelect(index);
+    } else {
+      drag = { scrub: true };
+      onScrub(toTime(pos.x));
+    }
+    canvas.setPointerCapture(evt.pointerId);
+    evt.preventDefault();
+    draw();
+  });
+
+  canvas.addEventListener("pointermove", evt => {
+    if (!drag) return;
+    const time = toTime(eventPos(evt).x);
+    if (drag.scrub) {
+      onScrub(time);
+    } else {
+      onMoveKey(drag.index, Math.round(time * 10) / 10);
+      drag.changed = true;
+    }
+    draw();
+  });
+
+  const endDrag = evt => {
+    if (!drag) return;
+    if (canvas.hasPointerCapture(evt.pointerId)) canvas.releasePointerCapture(evt.pointerId);
+    const changed = drag.changed;
+    drag = null;
+    if (changed) onCommit();
+    draw();
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  canvas.style.cursor = "pointer";
+  canvas.style.touchAction = "none";
+
+  return { draw };
+}
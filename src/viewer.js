@@ -0,0 +1,25 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+
+export function createRenderer(container) {
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  container.appendChild(renderer.domElement);
+  return renderer;
+}
+
+export function createCamera(container) {
+  const aspect = window.innerWidth / window.innerHeight;
+  const camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 5000);
+  camera.position.set(700, 450, 900);
+  return camera;
+}
+
+export function createControls(camera, domElement) {
+  const controls = new OrbitControls(camera, domElement);
+  controls.enableDamping = true;
+  controls.target.set(0, 200, 0);
+  return controls;
+}
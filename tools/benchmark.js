@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// Build benchmark: sweeps striations, columnCount and innerWalls over a base design, timing a full
+// complex build for each combination and recording its triangle and mesh counts as JSON. Pass an
+// earlier run as --baseline to fail on build-time or triangle-count regressions.
+import { readFileSync, writeFileSync } from "node:fs";
+import * as THREE from "three";
+import { buildTempleComplex } from "../src/buildTemple.js";
+import { triangleCount } from "../src/sceneStats.js";
+import { clampState } from "../src/state.js";
+import { loadState } from "./common.js";
+
+const usage = `Usage: node tools/benchmark.js [state.json] [options]
+
+Options:
+  --striations <list>   striations values to sweep (default 3,9,15)
+  --columns <list>      columnCount values to sweep (default 2,6,10)
+  --inner-walls <list>  innerWalls values to sweep (default 0,1,3)
+  --camera <x,y,z>      camera position used for complex LOD (default 700,500,900)
+  --repeat <n>          builds per combination; the median time is kept (default 3)
+  --out <file>          write the JSON results to a file instead of stdout
+  --baseline <file>     compare with an earlier run and exit 1 on regressions
+  --tolerance <ratio>   allowed increase over the baseline (default 0.25)
+  -h, --help            show this help`;
+
+function parseList(value, flag) {
+  const list = String(value).split(",").map(Number);
+  if (!list.length || list.some(v => !Number.isFinite(v))) throw new Error(`${flag} expects comma-separated numbers`);
+  return list;
+}
+
+function parseArgs(argv) {
+  const opts = {
+    file: null,
+    striations: [3, 9, 15],
+    columnCount: [2, 6, 10],
+    innerWalls: [0, 1, 3],
+    camera: [700, 500, 900],
+    repeat: 3,
+    out: null,
+    baseline: null,
+    tolerance: 0.25
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--striations") opts.striations = parseList(argv[++i], arg);
+    else if (arg === "--columns") opts.columnCount = parseList(argv[++i], arg);
+    else if (arg === "--inner-walls") opts.innerWalls = parseList(argv[++i], arg);
+    else if (arg === "--camera") opts.camera = parseList(argv[++i], arg);
+    else if (arg === "--repeat") opts.repeat = Number(argv[++i]);
+    else if (arg === "--out") opts.out = argv[++i];
+    else if (arg === "--baseline") opts.baseline = argv[++i];
+    else if (arg === "--tolerance") opts.tolerance = Number(argv[++i]);
+    else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else opts.file = arg;
+  }
+  if (opts.camera.length !== 3) throw new Error("--camera expects x,y,z");
+  if (!Number.isInteger(opts.repeat) || opts.repeat < 1) throw new Error("--repeat must be a positive integer");
+  if (!(opts.tolerance >= 0)) throw new Error("--tolerance must be zero or more");
+  return opts;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function meshCount(root) {
+  let count = 0;
+  root.traverseVisible(child => {
+    if (child.isMesh) count++;
+  });
+  return count;
+}
+
+function runCase(state, camPos, repeat) {
+  const times = [];
+  let root = null;
+  for (let i = 0; i < repeat; i++) {
+    const start = performance.now();
+    // A fresh part cache per build, so every run times the whole complex.
+    root = buildTempleComplex(state, camPos);
+    times.push(performance.now() - start);
+  }
+  return {
+    buildMs: Number(median(times).toFixed(2)),
+    minMs: Number(Math.min(...times).toFixed(2)),
+    triangles: triangleCount(root),
+    meshes: meshCount(root)
+  };
+}
+
+const caseKey = c => `${c.striations}/${c.columnCount}/${c.innerWalls}`;
+
+function compare(results, baseline, tolerance) {
+  const previous = new Map(baseline.cases.map(c => [caseKey(c), c]));
+  const regressions = [];
+  results.cases.forEach(c => {
+    const before = previous.get(caseKey(c));
+    if (!before) return;
+    if (c.buildMs > before.buildMs * (1 + tolerance)) {
+      regressions.push(`${caseKey(c)}: build ${before.buildMs} -> ${c.buildMs} ms`);
+    }
+    if (c.triangles > before.triangles * (1 + tolerance)) {
+      regressions.push(`${caseKey(c)}: triangles ${before.triangles} -> ${c.triangles}`);
+    }
+  });
+  return regressions;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(usage);
+    return;
+  }
+
+  const base = loadState(opts.file);
+  const camPos = new THREE.Vector3(...opts.camera);
+  // Warm up the JIT so the first combination is not timed cold.
+  buildTempleComplex(base, camPos);
+
+  const cases = [];
+  for (const striations of opts.striations) {
+    for (const columnCount of opts.columnCount) {
+      for (const innerWalls of opts.innerWalls) {
+        const state = clampState({ ...base, striations, columnCount, innerWalls });
+        const entry = { striations: state.striations, columnCount: state.columnCount, innerWalls: state.innerWalls };
+        cases.push({ ...entry, ...runCase(state, camPos, opts.repeat) });
+        console.error(`${caseKey(entry)}: ${cases[cases.length - 1].buildMs} ms`);
+      }
+    }
+  }
+
+  const results = {
+    date: new Date().toISOString(),
+    node: process.version,
+    camera: opts.camera,
+    repeat: opts.repeat,
+    cases
+  };
+  const json = JSON.stringify(results, null, 2);
+  if (opts.out) writeFileSync(opts.out, json + "\n");
+  else console.log(json);
+
+  if (opts.baseline) {
+    const regressions = compare(results, JSON.parse(readFileSync(opts.baseline, "utf8")), opts.tolerance);
+    if (regressions.length) {
+      console.error(`${regressions.length} regression(s) against ${opts.baseline}:`);
+      regressions.forEach(line => console.error(`  ${line}`));
+      process.exit(1);
+    }
+    console.error(`No regressions against ${opts.baseline}`);
+  }
+}
+
+main();
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Build worker check: runs src/buildWorker.js in a worker thread the way the page starts it, with
+// bare imports resolved only through the import map in index.html (as es-module-shims does in the
+// browser) and no DOM, then has it build every part of a design. Fails when a module the worker
+// loads is missing from the map, a mapped package differs from the installed version, the worker
+// never reports ready or a part comes back with an error.
+import { readFileSync } from "node:fs";
+import { Worker, isMainThread, parentPort, workerData } from "node:worker_threads";
+
+const root = new URL("../", import.meta.url);
+const TIMEOUT = 120000; // ms
+
+const usage = `Usage: node tools/checkWorker.js [design.json] [options]
+
+Options:
+  --camera <x,y,z>    camera position used for complex LOD (default 700,500,900)
+  -h, --help          show this help`;
+
+// Import map entries point at unpkg; each is swapped for the same file in node_modules once the
+// installed package turns out to be the version the page loads.
+function localImportMap() {
+  const html = readFileSync(new URL("index.html", root), "utf8");
+  const match = html.match(/<script type="importmap">([\s\S]*?)<\/script>/);
+  if (!match) throw new Error("index.html has no import map");
+  const { imports } = JSON.parse(match[1]);
+  const local = {};
+  for (const [name, address] of Object.entries(imports)) {
+    const parts = address.match(/^https:\/\/unpkg\.com\/((?:@[^/]+\/)?[^@/]+)@([^/]+)\/(.*)$/);
+    if (!parts) throw new Error(`Import map entry "${name}" is not a pinned unpkg URL: ${address}`);
+    const [, pkg, version, path] = parts;
+    const installed = JSON.parse(readFileSync(new URL(`node_modules/${pkg}/package.json`, root), "utf8")).version;
+    if (installed !== version) throw new Error(`Import map loads ${pkg}@${version} but ${installed} is installed`);
+    local[name] = new URL(`node_modules/${pkg}/${path}`, root).href;
+  }
+  return local;
+}
+
+// Resolve hook for the worker thread: relative and absolute URLs load as usual, bare specifiers
+// only through the map.
+const hooks = `
+let imports = {};
+export function initialize(data) {
+  imports = data.imports;
+}
+export function resolve(specifier, context, next) {
+  if (/^(\\.{0,2}\\/|[a-z]+:)/.test(specifier)) return next(specifier, context);
+  if (imports[specifier]) return { url: imports[specifier], shortCircuit: true };
+  const prefix = Object.keys(imports)
+    .filter(key => key.endsWith("/") && specifier.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) return { url: imports[prefix] + specifier.slice(prefix.length), shortCircuit: true };
+  throw new Error(\`"\${specifier}" (imported by \${context.parentURL}) is not in the page import map\`);
+}`;
+
+async function runWorker() {
+  const { register } = await import("node:module");
+  register(`data:text/javascript,${encodeURIComponent(hooks)}`, { data: { imports: workerData.imports } });
+  globalThis.self = globalThis;
+  globalThis.postMessage = (message, transfer) => parentPort.postMessage(message, transfer);
+  parentPort.on("message", data => self.onmessage({ data }));
+  await import(new URL("src/buildWorker.js", root).href);
+}
+
+function parseArgs(argv) {
+  const opts = { file: null, camera: [700, 500, 900] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--camera") {
+      opts.camera = String(argv[++i]).split(",").map(Number);
+      if (opts.camera.length !== 3 || opts.camera.some(v => !Number.isFinite(v))) throw new Error("--camera expects x,y,z");
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else opts.file = arg;
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(usage);
+    return;
+  }
+  const imports = localImportMap();
+  const THREE = await import("three");
+  const { complexParts } = await import("../src/buildTemple.js");
+  const { deserializeObject } = await import("../src/sceneTransfer.js");
+  const { triangleCount } = await import("../src/sceneStats.js");
+  const { loadState } = await import("./common.js");
+  const state = loadState(opts.file);
+  const parts = complexParts(state, new THREE.Vector3(...opts.camera));
+
+  const worker = new Worker(new URL(import.meta.url), { workerData: { imports } });
+  const results = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Worker did not finish within ${TIMEOUT / 1000} s`)), TIMEOUT);
+    const pending = [...parts];
+    const built = [];
+    const next = () => {
+      if (!pending.length) {
+        clearTimeout(timer);
+        resolve(built);
+        return;
+      }
+      worker.postMessage(pending[0]);
+    };
+    worker.on("error", err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    worker.on("message", data => {
+      if (data.ready) {
+        console.log("worker ready");
+        next();
+        return;
+      }
+      const part = pending.shift();
+      if (data.key !== part.key) return reject(new Error(`Worker answered ${data.key} for ${part.key}`));
+      if (data.error) return reject(new Error(`${part.key}: ${data.error}`));
+      built.push({ key: part.key, triangles: triangleCount(deserializeObject(data.payload)) });
+      next();
+    });
+  }).finally(() => worker.terminate());
+
+  // Part keys carry the state they depend on; the kind and level are enough to tell them apart here.
+  results.forEach(({ key, triangles }) => console.log(`  ${key.replace(/:[[{].*$/, "")} tris=${triangles}`));
+  const total = results.reduce((n, r) => n + r.triangles, 0);
+  console.log(`${results.length} parts built in the worker, ${total} triangles`);
+}
+
+if (isMainThread) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+} else {
+  runWorker().catch(err => {
+    // Surfaces on the main thread as the worker's error event.
+    setTimeout(() => {
+      throw err;
+    });
+  });
+}
@@ -0,0 +1,22 @@
+import { readFileSync } from "node:fs";
+import { clampState } from "../src/state.js";
+
+export function loadState(file) {
+  if (!file) return clampState({});
+  const raw = JSON.parse(readFileSync(file, "utf8"));
+  // Accept either a bare state object or a wrapper with a `state` field.
+  return clampState(raw.state ?? raw);
+}
+
+// GLTFExporter hands its output over through FileReader, which Node lacks; Blob can do the reading.
+export function installFileReader() {
+  if (typeof globalThis.FileReader !== "undefined") return;
+  globalThis.FileReader = class FileReader {
+    readAsArrayBuffer(blob) {
+      blob.arrayBuffer().then(buffer => {
+        this.result = buffer;
+        if (this.onloadend) this.onloadend();
+      });
+    }
+  };
+}
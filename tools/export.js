@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Batch GLB export: builds the temple complex (or one tower) for each design file and writes a
+// binary glTF next to it or into --out-dir. Headless builds carry no canvas textures.
+import { writeFileSync, mkdirSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import * as THREE from "three";
+import { buildTower } from "../src/buildTower.js";
+import { buildTempleComplex } from "../src/buildTemple.js";
+import { exportGLB } from "../src/exportGLB.js";
+import { loadState, installFileReader } from "./common.js";
+
+const usage = `Usage: node tools/export.js [design.json ...] [options]
+
+Writes <design>.glb for each design file (parametric_tower.glb for the default design when none
+is given). A file that fails to load or export is reported and skipped.
+
+Options:
+  --out-dir <dir>     directory for the GLB files (default: next to each design)
+  --tower             export a single gopuram instead of the full complex
+  --detail <level>    tower detail level: high | medium | low (default high)
+  --camera <x,y,z>    camera position used for complex LOD (default 700,500,900)
+  -h, --help          show this help`;
+
+function parseArgs(argv) {
+  const opts = { files: [], outDir: null, tower: false, detail: "high", camera: [700, 500, 900] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--out-dir") opts.outDir = argv[++i];
+    else if (arg === "--tower") opts.tower = true;
+    else if (arg === "--detail") opts.detail = argv[++i];
+    else if (arg === "--camera") opts.camera = String(argv[++i]).split(",").map(Number);
+    else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else opts.files.push(arg);
+  }
+  if (!opts.outDir && argv.includes("--out-dir")) throw new Error("--out-dir expects a directory");
+  if (!["high", "medium", "low"].includes(opts.detail)) throw new Error(`Invalid detail level ${opts.detail}`);
+  if (opts.camera.length !== 3 || opts.camera.some(v => !Number.isFinite(v))) throw new Error("--camera expects x,y,z");
+  return opts;
+}
+
+function outputPath(file, outDir) {
+  const name = file ? basename(file).replace(/\.json$/i, "") : "parametric_tower";
+  return join(outDir ?? (file ? dirname(file) : "."), `${name}.glb`);
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(usage);
+    return;
+  }
+
+  installFileReader();
+  if (opts.outDir) mkdirSync(opts.outDir, { recursive: true });
+  const files = opts.files.length ? opts.files : [null];
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const state = loadState(file);
+      const root = opts.tower
+        ? buildTower(state, opts.detail)
+        : buildTempleComplex(state, new THREE.Vector3(...opts.camera));
+      const data = await exportGLB(root, { resetRotation: false });
+      const out = outputPath(file, opts.outDir);
+      writeFileSync(out, Buffer.from(data));
+      console.log(`wrote ${out}`);
+    } catch (err) {
+      failed++;
+      console.error(`${file ?? "default design"}: ${err.message}`);
+    }
+  }
+  if (failed) {
+    console.error(`${failed} of ${files.length} exports failed`);
+    process.exit(1);
+  }
+}
+
+main();
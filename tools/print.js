@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Print export: writes one gopuram as a single watertight solid (binary STL and/or OBJ).
+import { writeFileSync } from "node:fs";
+import { buildPrintMesh, checkManifold, checkCaps, exportPrintSTL, exportPrintOBJ, printDefaults } from "../src/exportPrint.js";
+import { clampState } from "../src/state.js";
+import { loadState } from "./common.js";
+
+const usage = `Usage: node tools/print.js [state.json] [options]
+
+Options:
+  --height <mm>         target print height in millimetres (default ${printDefaults.targetHeightMm})
+  --decorations <mode>  drop | thicken planar decorations (default ${printDefaults.decorations})
+  --no-cornices         leave out the cornice overhangs
+  --out <name>          output base name (default gopuram)
+  --format <fmt>        stl | obj | both (default both)
+  --check               audit the solid for the design and the built-in cases below, write nothing
+  -h, --help            show this help`;
+
+function parseArgs(argv) {
+  const opts = { file: null, out: "gopuram", format: "both", ...printDefaults };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--height") opts.targetHeightMm = Number(argv[++i]);
+    else if (arg === "--decorations") opts.decorations = argv[++i];
+    else if (arg === "--no-cornices") opts.cornices = false;
+    else if (arg === "--out") opts.out = argv[++i];
+    else if (arg === "--format") opts.format = argv[++i];
+    else if (arg === "--check") opts.check = true;
+    else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else opts.file = arg;
+  }
+  if (!(opts.targetHeightMm > 0)) throw new Error("--height must be a positive number");
+  if (!["drop", "thicken"].includes(opts.decorations)) throw new Error(`Invalid decorations mode ${opts.decorations}`);
+  if (!["stl", "obj", "both"].includes(opts.format)) throw new Error(`Invalid format ${opts.format}`);
+  return opts;
+}
+
+// Designs --check builds besides the given one. The keyframe footprint crosses the morphed
+// outlines between it and the base profile, so some ledges do not nest.
+const checkCases = {
+  "rectangle keyframe": { profileKeyframes: [{ t: 1, points: [[0, 0], [10, 0], [10, 40], [0, 40]] }] }
+};
+
+// Problems with the solid, or an empty list when it can be printed.
+function audit(mesh) {
+  const check = checkManifold(mesh.geometry);
+  const caps = checkCaps(mesh.geometry);
+  const problems = [];
+  if (!check.closed) {
+    problems.push(`not watertight: ${check.boundaryEdges} open edges, ${check.nonManifoldEdges} non-manifold edges`);
+  }
+  if (caps.overlappingTriangles) problems.push(`${caps.overlappingTriangles} overlapping flat triangles`);
+  return { problems, triangles: check.triangles };
+}
+
+function runChecks(opts) {
+  const designs = { [opts.file || "default design"]: loadState(opts.file) };
+  Object.entries(checkCases).forEach(([name, state]) => (designs[name] = clampState(state)));
+  let failed = 0;
+  for (const [name, state] of Object.entries(designs)) {
+    for (const decorations of ["drop", "thicken"]) {
+      for (const cornices of [true, false]) {
+        const label = `${name}, ${decorations}${cornices ? "" : ", no cornices"}`;
+        const { problems, triangles } = audit(buildPrintMesh(state, { ...opts, decorations, cornices }));
+        if (problems.length) failed++;
+        console.log(`${problems.length ? "FAIL" : "ok  "} ${label}: ${problems.join("; ") || `${triangles} triangles`}`);
+      }
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(usage);
+    return;
+  }
+  if (opts.check) {
+    runChecks(opts);
+    return;
+  }
+
+  const mesh = buildPrintMesh(loadState(opts.file), opts);
+  const { problems, triangles } = audit(mesh);
+  if (problems.length) {
+    console.error(`Solid is ${problems.join("; ")}`);
+    process.exit(1);
+  }
+  const size = mesh.geometry.boundingBox.getSize(mesh.position.clone());
+  console.log(`triangles: ${triangles}`);
+  console.log(`size (mm): ${size.x.toFixed(1)} x ${size.z.toFixed(1)} x ${size.y.toFixed(1)} (w x d x h)`);
+  if (opts.format !== "obj") {
+    writeFileSync(`${opts.out}.stl`, Buffer.from(exportPrintSTL(mesh)));
+    console.log(`wrote ${opts.out}.stl`);
+  }
+  if (opts.format !== "stl") {
+    writeFileSync(`${opts.out}.obj`, exportPrintOBJ(mesh));
+    console.log(`wrote ${opts.out}.obj`);
+  }
+}
+
+main();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Headless scene report: builds the temple complex (or one tower) from a state JSON file
+// and prints the scene graph, bounds and triangle counts.
+import * as THREE from "three";
+import { buildTower } from "../src/buildTower.js";
+import { buildTempleComplex } from "../src/buildTemple.js";
+import { describeObject, boundsOf, triangleCount } from "../src/sceneStats.js";
+import { loadState } from "./common.js";
+
+const usage = `Usage: node tools/report.js [state.json] [options]
+
+Options:
+  --tower             build a single gopuram instead of the full complex
+  --detail <level>    tower detail level: high | medium | low (default high)
+  --camera <x,y,z>    camera position used for complex LOD (default 700,500,900)
+  --depth <n>         scene graph depth to print (default 2)
+  --json              print the report as JSON
+  -h, --help          show this help`;
+
+function parseArgs(argv) {
+  const opts = { file: null, tower: false, detail: "high", camera: [700, 500, 900], depth: 2, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg === "--tower") opts.tower = true;
+    else if (arg === "--json") opts.json = true;
+    else if (arg === "--detail") opts.detail = argv[++i];
+    else if (arg === "--depth") opts.depth = Number(argv[++i]);
+    else if (arg === "--camera") opts.camera = String(argv[++i]).split(",").map(Number);
+    else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else opts.file = arg;
+  }
+  if (!["high", "medium", "low"].includes(opts.detail)) throw new Error(`Invalid detail level ${opts.detail}`);
+  if (opts.camera.length !== 3 || opts.camera.some(v => !Number.isFinite(v))) throw new Error("--camera expects x,y,z");
+  return opts;
+}
+
+function printTree(node, indent = "") {
+  const inst = node.instances ? ` x${node.instances}` : "";
+  console.log(`${indent}${node.name} [${node.type}${inst}] meshes=${node.meshes} tris=${node.triangles}`);
+  (node.children || []).forEach(child => printTree(child, indent + "  "));
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(usage);
+    return;
+  }
+
+  const state = loadState(opts.file);
+  const start = performance.now();
+  const root = opts.tower
+    ? buildTower(state, opts.detail)
+    : buildTempleComplex(state, new THREE.Vector3(...opts.camera));
+  const buildMs = performance.now() - start;
+
+  const report = {
+    mode: opts.tower ? "tower" : "complex",
+    buildMs: Number(buildMs.toFixed(2)),
+    triangles: triangleCount(root),
+    bounds: boundsOf(root),
+    graph: describeObject(root, opts.depth)
+  };
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const fmt = v => v.map(n => n.toFixed(1)).join(", ");
+  console.log(`mode: ${report.mode}`);
+  console.log(`build: ${report.buildMs} ms`);
+  console.log(`triangles: ${report.triangles}`);
+  console.log(`bounds min: (${fmt(report.bounds.min)}) max: (${fmt(report.bounds.max)}) size: (${fmt(report.bounds.size)})`);
+  printTree(report.graph);
+}
+
+main();